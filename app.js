@@ -0,0 +1,101 @@
+import express from 'express';
+import http from 'http';
+import cors from 'cors';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import bodyParser from 'body-parser';
+import timeout from 'connect-timeout';
+import config from './config/index.js';
+import { createSocketState } from './sockets/state.js';
+import { createSocketServer } from './sockets/index.js';
+import { createMediaRouter } from './routes/media.js';
+import { createAuthRouter } from './routes/auth.js';
+import { createRoomsRouter } from './routes/rooms.js';
+import { createInterestsRouter } from './routes/interests.js';
+import { createReportsRouter } from './routes/reports.js';
+import { createBlocksRouter } from './routes/blocks.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createDirectMessagesRouter } from './routes/directMessages.js';
+import { createFriendsRouter } from './routes/friends.js';
+import { createUsersRouter } from './routes/users.js';
+import { createAiRouter } from './routes/ai.js';
+import { createChatbotRouter } from './routes/chatbot.js';
+import { mountDebugRoutes } from './routes/debug.js';
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Build the Express app, HTTP server and Socket.IO server without connecting to MongoDB
+// or listening, so tests can drive it over HTTP and socket.io-client (test/app.test.js).
+// `appConfig` defaults to the process config; tests pass other loadConfig results.
+export const createApp = ({ config: appConfig = config } = {}) => {
+  const app = express();
+
+  // Serve static files from the React app build directory
+  app.use(express.static(path.join(__dirname, 'client/build')));
+
+  // CORS for the API: only origins in ALLOWED_ORIGINS (the same list Socket.IO uses) get
+  // credentialed access; requests without an Origin header (curl, same-origin) pass through
+  app.use(cors({
+    origin: (origin, callback) => {
+      callback(null, !origin || appConfig.cors.allowedOrigins.includes(origin));
+    },
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin']
+  }));
+
+  app.enable('trust proxy');
+
+  const server = http.createServer(app);
+  const state = createSocketState();
+  const io = createSocketServer(server, state);
+
+  app.use(bodyParser.json());
+  app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+  // Add a timeout middleware for uploads and API requests
+  app.use(timeout('30s'));
+  app.use((req, res, next) => {
+    if (!req.timedout) next();
+  });
+
+  app.use(createMediaRouter());
+  app.use(createAuthRouter({ io }));
+  app.use(createRoomsRouter());
+  app.use(createInterestsRouter({ interestMatcher: state.interestMatcher }));
+  app.use(createReportsRouter({ interestMatcher: state.interestMatcher, interestHistory: state.interestHistory }));
+  app.use(createBlocksRouter());
+  app.use(createAdminRouter({ io }));
+  app.use(createDirectMessagesRouter({ state }));
+  app.use(createFriendsRouter({ presence: state.presence }));
+  app.use(createUsersRouter());
+  app.use(createChatbotRouter());
+  app.use(createAiRouter());
+
+  // Dev-only account verification helpers (routes/debug.js); 404 unless explicitly enabled
+  mountDebugRoutes(app, {
+    nodeEnv: appConfig.env,
+    enabled: appConfig.debug.enabled,
+    adminToken: appConfig.debug.adminToken
+  });
+
+  app.get('/test', (req, res) => {
+    res.json({ message: 'Backend is alive' });
+  });
+
+  app.get("/favicon.ico", (req, res) => {
+    res.status(204).send();
+  });
+
+  // Define a route for the root URL
+  app.get('/', (req, res) => {
+    res.status(200).json({ message: 'Backend is running!' });
+  });
+
+  // Catch-all: send back React's index.html for any other route
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, 'client/build', 'index.html'));
+  });
+
+  return { app, server, io, state };
+};
@@ -1,13 +1,10 @@
 import mongoose from 'mongoose';
-import dotenv from 'dotenv';
-
-// Load environment variables from .env file
-dotenv.config();
+import config from './index.js';
 
 const connectDB = async () => {
   try {
     // Modern Mongoose (v6+) doesn't need the options
-    await mongoose.connect(process.env.MONGODB_URI);
+    await mongoose.connect(config.db.uri);
     console.log('Connected to MongoDB');
 
     // Optional: Add connection event listeners
@@ -25,4 +22,4 @@ const connectDB = async () => {
   }
 };
 
-export default connectDB;
\ No newline at end of file
+export default connectDB;
@@ -0,0 +1,296 @@
+import dotenv from 'dotenv';
+
+// Central configuration. Every setting the app reads from the environment is parsed and
+// validated here once at boot; other modules import `config` instead of touching process.env.
+// Nothing secret has a default: missing secrets stop the server with a list of what to set.
+
+/**
+ * @typedef {'smtp' | 'sendgrid' | 'mailgun' | 'outbox' | 'console'} MailTransport
+ * @typedef {'allow' | 'mask' | 'flag' | 'block'} ModerationAction
+ * @typedef {'profanity' | 'link' | 'phone' | 'email' | 'abuse'} ModerationCategory
+ *
+ * @typedef {Object} AppConfig
+ * @property {'development' | 'production' | 'test'} env
+ * @property {number} port
+ * @property {string} clientUrl          Frontend origin used in email links
+ * @property {{ uri: string, resetUsersOnBoot: boolean }} db
+ * @property {{ jwtSecret: string, accessTokenTtlSeconds: number, refreshTokenTtlDays: number }} auth
+ * @property {{ allowedOrigins: string[] }} cors
+ * @property {{ maxFileSizeBytes: number, maxAvatarSizeBytes: number }} uploads
+ * @property {{
+ *   transport: MailTransport,
+ *   from: string,
+ *   smtp: { service: string, host?: string, port: number, user?: string, pass?: string },
+ *   sendgrid: { apiKey?: string },
+ *   mailgun: { apiKey?: string, domain?: string },
+ *   outboxDir: string
+ * }} mail
+ * @property {{ geminiApiKey?: string, geminiModel: string }} ai
+ * @property {{ loginMax: number, otpVerifyMax: number, emailMax: number }} rateLimit
+ * @property {{ maxAttempts: number, baseLockMs: number }} lockout
+ * @property {{
+ *   maxReactionsPerMessage: number,
+ *   interestRoomMaxSize: number,
+ *   interestHistorySize: number,
+ *   persistInterestMessages: boolean,
+ *   interestMessageTtlHours: number
+ * }} chat
+ * @property {{ randomMatchAfterSeconds: number, recentPartnerLimit: number }} roulette
+ * @property {{ awayAfterSeconds: number }} presence
+ * @property {{ maxMembers: number, idleExpiryHours: number, emptyGraceMinutes: number }} rooms
+ * @property {{
+ *   defaultPolicy: Record<ModerationCategory, ModerationAction>,
+ *   blockedWords: string[],
+ *   aiClassifier: boolean,
+ *   aiTimeoutMs: number
+ * }} moderation
+ * @property {{ enabled: boolean, adminToken?: string }} debug
+ */
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const ENVIRONMENTS = ['development', 'production', 'test'];
+const MAIL_TRANSPORTS = ['smtp', 'sendgrid', 'mailgun', 'outbox', 'console'];
+export const MODERATION_CATEGORIES = ['profanity', 'link', 'phone', 'email', 'abuse'];
+export const MODERATION_ACTIONS = ['allow', 'mask', 'flag', 'block'];
+
+/**
+ * Parse and validate settings from an env-like object.
+ * @param {Record<string, string | undefined>} env
+ * @returns {AppConfig}
+ * @throws {ConfigError} listing every problem found
+ */
+export const loadConfig = (env) => {
+  const errors = [];
+
+  const str = (name, fallback) => {
+    const value = env[name];
+    return value === undefined || value.trim() === '' ? fallback : value.trim();
+  };
+
+  const required = (name) => {
+    const value = str(name);
+    if (value === undefined) errors.push(`${name} is required`);
+    return value;
+  };
+
+  const int = (name, fallback, { min = 0 } = {}) => {
+    const raw = str(name);
+    if (raw === undefined) return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min) {
+      errors.push(`${name} must be an integer >= ${min} (got "${raw}")`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const bool = (name, fallback = false) => {
+    const raw = str(name);
+    if (raw === undefined) return fallback;
+    if (!['true', 'false', '1', '0'].includes(raw)) {
+      errors.push(`${name} must be true or false (got "${raw}")`);
+      return fallback;
+    }
+    return raw === 'true' || raw === '1';
+  };
+
+  const oneOf = (name, allowed, fallback) => {
+    const value = str(name, fallback);
+    if (!allowed.includes(value)) {
+      errors.push(`${name} must be one of ${allowed.join(', ')} (got "${value}")`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const list = (name, fallback) => {
+    const raw = str(name);
+    if (raw === undefined) return fallback;
+    return raw.split(',').map(item => item.trim()).filter(Boolean);
+  };
+
+  // "category:action" pairs, e.g. "profanity:mask,link:block"; unlisted categories keep the fallback
+  const moderationPolicy = (name, fallback) => {
+    const policy = { ...fallback };
+    for (const pair of list(name, [])) {
+      const [category, action] = pair.split(':').map(part => part.trim());
+      if (!MODERATION_CATEGORIES.includes(category) || !MODERATION_ACTIONS.includes(action)) {
+        errors.push(`${name} entries must look like <${MODERATION_CATEGORIES.join('|')}>:<${MODERATION_ACTIONS.join('|')}> (got "${pair}")`);
+        continue;
+      }
+      policy[category] = action;
+    }
+    return policy;
+  };
+
+  const url = (name, fallback) => {
+    const value = str(name, fallback);
+    try {
+      new URL(value);
+    } catch {
+      errors.push(`${name} must be a valid URL (got "${value}")`);
+    }
+    return value;
+  };
+
+  const nodeEnv = oneOf('NODE_ENV', ENVIRONMENTS, 'development');
+  const isProduction = nodeEnv === 'production';
+
+  const jwtSecret = required('JWT_SECRET');
+  if (jwtSecret && jwtSecret.length < 32) {
+    errors.push('JWT_SECRET must be at least 32 characters long');
+  }
+
+  const mongoUri = required('MONGODB_URI');
+  if (mongoUri && !/^mongodb(\+srv)?:\/\//.test(mongoUri)) {
+    errors.push('MONGODB_URI must start with mongodb:// or mongodb+srv://');
+  }
+
+  const resetUsersOnBoot = bool('RESET_USERS_ON_BOOT');
+  if (resetUsersOnBoot && isProduction) {
+    errors.push('RESET_USERS_ON_BOOT cannot be enabled in production');
+  }
+
+  const mailTransport = oneOf('MAIL_TRANSPORT', MAIL_TRANSPORTS, nodeEnv === 'test' ? 'outbox' : 'smtp');
+  const mail = {
+    transport: mailTransport,
+    from: str('MAIL_FROM', `"Chat App" <${str('EMAIL_USER', 'no-reply@localhost')}>`),
+    smtp: {
+      service: str('SMTP_SERVICE', 'gmail'),
+      host: str('SMTP_HOST'),
+      port: int('SMTP_PORT', 587, { min: 1 }),
+      user: str('EMAIL_USER'),
+      pass: str('EMAIL_PASS')
+    },
+    sendgrid: { apiKey: str('SENDGRID_API_KEY') },
+    mailgun: { apiKey: str('MAILGUN_API_KEY'), domain: str('MAILGUN_DOMAIN') },
+    outboxDir: str('MAIL_OUTBOX_DIR', 'outbox')
+  };
+  if (mailTransport === 'smtp' && (!mail.smtp.user || !mail.smtp.pass)) {
+    errors.push('EMAIL_USER and EMAIL_PASS are required when MAIL_TRANSPORT is smtp');
+  }
+  if (mailTransport === 'sendgrid' && !mail.sendgrid.apiKey) {
+    errors.push('SENDGRID_API_KEY is required when MAIL_TRANSPORT is sendgrid');
+  }
+  if (mailTransport === 'mailgun' && (!mail.mailgun.apiKey || !mail.mailgun.domain)) {
+    errors.push('MAILGUN_API_KEY and MAILGUN_DOMAIN are required when MAIL_TRANSPORT is mailgun');
+  }
+  if (isProduction && ['outbox', 'console'].includes(mailTransport)) {
+    errors.push(`MAIL_TRANSPORT=${mailTransport} cannot be used in production`);
+  }
+
+  const debug = {
+    enabled: bool('ENABLE_DEBUG_ROUTES'),
+    adminToken: str('DEBUG_ADMIN_TOKEN')
+  };
+  if (debug.enabled && isProduction) {
+    errors.push('ENABLE_DEBUG_ROUTES must not be set in production');
+  }
+  if (debug.enabled && !debug.adminToken) {
+    errors.push('DEBUG_ADMIN_TOKEN is required when ENABLE_DEBUG_ROUTES is set');
+  }
+
+  const moderation = {
+    defaultPolicy: moderationPolicy('MODERATION_DEFAULT_POLICY', {
+      profanity: 'mask',
+      link: 'allow',
+      phone: 'allow',
+      email: 'allow',
+      abuse: 'flag'
+    }),
+    blockedWords: list('MODERATION_BLOCKED_WORDS', []).map(word => word.toLowerCase()),
+    aiClassifier: bool('MODERATION_AI_CLASSIFIER'),
+    aiTimeoutMs: int('MODERATION_AI_TIMEOUT_MS', 3000, { min: 100 })
+  };
+  if (moderation.aiClassifier && !str('GEMINI_API_KEY')) {
+    errors.push('GEMINI_API_KEY is required when MODERATION_AI_CLASSIFIER is set');
+  }
+
+  const config = {
+    env: nodeEnv,
+    port: int('PORT', 5000, { min: 1 }),
+    clientUrl: url('CLIENT_URL', 'http://localhost:3000'),
+    db: { uri: mongoUri, resetUsersOnBoot },
+    auth: {
+      jwtSecret,
+      accessTokenTtlSeconds: int('ACCESS_TOKEN_TTL_SECONDS', 15 * 60, { min: 60 }),
+      refreshTokenTtlDays: int('REFRESH_TOKEN_TTL_DAYS', 30, { min: 1 })
+    },
+    cors: {
+      allowedOrigins: list('ALLOWED_ORIGINS', ['http://localhost:3000', 'http://localhost:5173'])
+    },
+    uploads: {
+      maxFileSizeBytes: int('UPLOAD_MAX_FILE_SIZE_MB', 10, { min: 1 }) * 1024 * 1024,
+      maxAvatarSizeBytes: int('UPLOAD_MAX_AVATAR_SIZE_MB', 2, { min: 1 }) * 1024 * 1024
+    },
+    mail,
+    ai: {
+      geminiApiKey: str('GEMINI_API_KEY'),
+      geminiModel: str('GEMINI_MODEL', 'gemini-2.5-flash')
+    },
+    rateLimit: {
+      loginMax: int('LOGIN_RATE_LIMIT', 10, { min: 1 }),
+      otpVerifyMax: int('OTP_VERIFY_RATE_LIMIT', 10, { min: 1 }),
+      emailMax: int('EMAIL_RATE_LIMIT', 5, { min: 1 })
+    },
+    lockout: {
+      maxAttempts: int('LOCKOUT_MAX_ATTEMPTS', 5, { min: 1 }),
+      baseLockMs: int('LOCKOUT_BASE_MINUTES', 15, { min: 1 }) * 60 * 1000
+    },
+    chat: {
+      maxReactionsPerMessage: int('MAX_REACTIONS_PER_MESSAGE', 20, { min: 1 }),
+      interestRoomMaxSize: int('INTEREST_ROOM_MAX_SIZE', 20, { min: 2 }),
+      interestHistorySize: int('INTEREST_HISTORY_SIZE', 100, { min: 1 }),
+      persistInterestMessages: bool('PERSIST_INTEREST_MESSAGES'),
+      interestMessageTtlHours: int('INTEREST_MESSAGE_TTL_HOURS', 24, { min: 1 })
+    },
+    roulette: {
+      randomMatchAfterSeconds: int('ROULETTE_RANDOM_MATCH_AFTER_SECONDS', 15, { min: 1 }),
+      recentPartnerLimit: int('ROULETTE_RECENT_PARTNER_LIMIT', 5)
+    },
+    presence: {
+      awayAfterSeconds: int('PRESENCE_AWAY_AFTER_SECONDS', 90, { min: 10 })
+    },
+    rooms: {
+      maxMembers: int('ROOM_MAX_MEMBERS', 50, { min: 2 }),
+      idleExpiryHours: int('ROOM_IDLE_EXPIRY_HOURS', 7 * 24, { min: 1 }),
+      emptyGraceMinutes: int('ROOM_EMPTY_GRACE_MINUTES', 10, { min: 1 })
+    },
+    moderation,
+    debug
+  };
+
+  if (errors.length) {
+    throw new ConfigError(errors);
+  }
+  return deepFreeze(config);
+};
+
+const deepFreeze = (object) => {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+};
+
+// Load .env once for the whole process, then validate. A bad config stops the process here,
+// before anything connects or listens.
+dotenv.config();
+
+let config;
+try {
+  config = loadConfig(process.env);
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+export default config;
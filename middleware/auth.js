@@ -0,0 +1,101 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import config from '../config/index.js';
+import { isSuspended } from '../services/suspension.js';
+
+// Shared JWT auth layer for REST routes and Socket.IO handshakes
+
+// Access tokens are short-lived; clients renew them with a refresh token via POST /auth/refresh
+export const ACCESS_TOKEN_TTL_SECONDS = config.auth.accessTokenTtlSeconds;
+
+// `sessionId` ties the token to a device session so it can be revoked on logout
+export const signToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, username: user.username, sid: sessionId },
+    config.auth.jwtSecret,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+};
+
+export const verifyToken = (token) => jwt.verify(token, config.auth.jwtSecret);
+
+// Pull a token out of an "Authorization: Bearer <token>" header
+const extractBearer = (header) => {
+  if (!header || typeof header !== 'string') return null;
+  const [scheme, token] = header.split(' ');
+  if (!/^Bearer$/i.test(scheme) || !token) return null;
+  return token;
+};
+
+// Express middleware: rejects the request unless it carries a valid bearer token
+export const requireAuth = (req, res, next) => {
+  const token = extractBearer(req.headers.authorization);
+  if (!token) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  try {
+    const payload = verifyToken(token);
+    req.user = { id: payload.id, username: payload.username, sessionId: payload.sid };
+    next();
+  } catch (error) {
+    console.log('Rejected HTTP token:', error.message);
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+};
+
+// Socket.IO middleware: verifies the handshake token and binds the username to the socket.
+// Clients pass it as io(url, { auth: { token } }); the Authorization header is accepted as a fallback.
+// Sockets outlive access tokens, so the session behind the token must still exist.
+export const socketAuth = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const token = auth.token || extractBearer(headers.authorization);
+  if (!token) {
+    return next(new Error('Authentication required'));
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    console.log(`Rejected socket handshake ${socket.id}:`, error.message);
+    return next(new Error('Invalid or expired token'));
+  }
+
+  try {
+    const user = payload.sid && await User.findOne({ _id: payload.id, 'sessions._id': payload.sid }, 'suspension');
+    if (!user) {
+      return next(new Error('Session has been revoked'));
+    }
+    if (isSuspended(user)) {
+      return next(new Error('Account suspended'));
+    }
+  } catch (error) {
+    console.error('Error checking socket session:', error);
+    return next(new Error('Authentication failed'));
+  }
+
+  socket.userId = payload.id;
+  socket.username = payload.username;
+  socket.sessionId = payload.sid;
+  next();
+};
+
+// Express middleware for /admin routes; must run after requireAuth. The role is read from the
+// database rather than the token so demoting an admin takes effect immediately.
+export const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id, 'role suspension');
+    if (!user || user.role !== 'admin' || isSuspended(user)) {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking admin role:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Room names used to reach every socket of a session or user, e.g. when it is revoked
+export const sessionRoom = (sessionId) => `session:${sessionId}`;
+export const userRoom = (userId) => `user:${userId}`;
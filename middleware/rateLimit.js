@@ -0,0 +1,128 @@
+// Fixed-window rate limiting with exponential backoff for repeat offenders.
+//
+// A store keeps counters by key. The in-memory store is the default; a shared backend
+// (Redis, MongoDB, ...) can be plugged in with setRateLimitStore() as long as it
+// implements the same async interface:
+//   increment(key, windowMs) -> { count, resetAt }   count hits in the current window
+//   get(key)                 -> value | undefined
+//   set(key, value, ttlMs)
+//   delete(key)
+
+export class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+    // Sweep expired keys so one-off IPs don't accumulate forever
+    this.timer = setInterval(() => this.sweep(), cleanupIntervalMs);
+    this.timer.unref();
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      entry = { value: 0, expiresAt: now + windowMs };
+      this.entries.set(key, entry);
+    }
+    entry.value += 1;
+    return { count: entry.value, resetAt: entry.expiresAt };
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+let store = new MemoryStore();
+
+export const setRateLimitStore = (nextStore) => {
+  store = nextStore;
+};
+
+export const getRateLimitStore = () => store;
+
+// Seconds until `until` (a timestamp), always at least 1 so clients actually wait
+export const retryAfterSeconds = (until) => Math.max(1, Math.ceil((until - Date.now()) / 1000));
+
+export const ipKey = (req) => `ip:${req.ip}`;
+
+// Key by the email in the body so one account can't be hammered from many IPs
+export const accountKey = (req) => {
+  const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email ? `account:${email}` : null;
+};
+
+// Build an Express middleware.
+//   name       - namespace for the counters, e.g. 'login'
+//   windowMs   - length of the counting window
+//   max        - requests allowed per key per window
+//   keys       - functions mapping a request to a key (return null to skip)
+//   blockMs    - how long a key is blocked the first time it exceeds `max`;
+//                each further violation while the strike is remembered doubles it
+//   maxBlockMs - upper bound for the doubled block
+//   message    - error message sent with the 429
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keys = [ipKey],
+  blockMs = windowMs,
+  maxBlockMs = 24 * 60 * 60 * 1000,
+  message = 'Too many requests. Please try again later.'
+}) => {
+  const reject = (res, until) => {
+    res.set('Retry-After', String(retryAfterSeconds(until)));
+    return res.status(429).json({ message, retryAfter: retryAfterSeconds(until) });
+  };
+
+  return async (req, res, next) => {
+    try {
+      for (const keyFn of keys) {
+        const key = keyFn(req);
+        if (!key) continue;
+
+        const blockKey = `rl:${name}:block:${key}`;
+        const block = await store.get(blockKey);
+        if (block && block.until > Date.now()) {
+          return reject(res, block.until);
+        }
+
+        const { count } = await store.increment(`rl:${name}:${key}`, windowMs);
+        if (count > max) {
+          const strikes = (block ? block.strikes : 0) + 1;
+          const duration = Math.min(blockMs * 2 ** (strikes - 1), maxBlockMs);
+          const until = Date.now() + duration;
+          // Remember the strike for a while after the block so the next offence backs off further
+          await store.set(blockKey, { until, strikes }, duration * 2);
+          await store.delete(`rl:${name}:${key}`);
+          console.log(`Rate limit "${name}" exceeded by ${key}, blocked for ${Math.round(duration / 1000)}s`);
+          return reject(res, until);
+        }
+      }
+      next();
+    } catch (error) {
+      // Never lock everyone out because the limiter store is down
+      console.error(`Rate limiter "${name}" error:`, error);
+      next();
+    }
+  };
+};
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const DirectMessageSchema = new mongoose.Schema({
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DirectThread',
+    required: true
+  },
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  // Client-supplied id, echoed back so senders can match their optimistic message
+  clientId: String,
+  // Extra client fields (fileUrl, mimetype, ...)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Receipts from the recipient; reading implies delivery
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+DirectMessageSchema.index({ thread: 1, _id: -1 });
+
+DirectMessageSchema.methods.toClient = function () {
+  return {
+    ...this.payload,
+    id: this._id.toString(),
+    threadId: this.thread.toString(),
+    clientId: this.clientId,
+    from: this.from,
+    to: this.to,
+    message: this.message,
+    deliveredAt: this.deliveredAt ? this.deliveredAt.toISOString() : null,
+    readAt: this.readAt ? this.readAt.toISOString() : null,
+    timestamp: this.createdAt.toISOString()
+  };
+};
+
+// Build a message from a client payload; from/to/thread come from the server
+DirectMessageSchema.statics.fromClient = function (thread, from, to, data) {
+  const { message, id, to: _to, from: _from, username: _username, threadId: _thread, timestamp, ...payload } = data;
+  return new this({
+    thread: thread._id,
+    from,
+    to,
+    message: typeof message === 'string' ? message : '',
+    clientId: id ? String(id) : undefined,
+    payload
+  });
+};
+
+// Same cursor pagination as Message.fetchPage
+DirectMessageSchema.statics.fetchPage = async function (threadId, { before, limit } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const query = { thread: threadId };
+
+  if (before) {
+    if (!mongoose.isValidObjectId(before)) {
+      throw new Error('Invalid cursor');
+    }
+    query._id = { $lt: before };
+  }
+
+  const docs = await this.find(query).sort({ _id: -1 }).limit(pageSize + 1);
+  const hasMore = docs.length > pageSize;
+  const page = docs.slice(0, pageSize).reverse();
+
+  return {
+    messages: page.map(doc => doc.toClient()),
+    nextCursor: hasMore && page.length ? page[0]._id.toString() : null,
+    hasMore
+  };
+};
+
+const DirectMessage = mongoose.model('DirectMessage', DirectMessageSchema);
+
+export default DirectMessage;
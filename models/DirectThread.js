@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+const ParticipantSchema = new mongoose.Schema({
+  username: String,
+  // Messages from the other side since this participant last read the thread
+  unread: {
+    type: Number,
+    default: 0
+  },
+  lastReadAt: Date,
+  // Set once they send a message; the other side may then always reply
+  hasPosted: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// One direct message conversation between two users
+const DirectThreadSchema = new mongoose.Schema({
+  // Both usernames, sorted, so each pair has exactly one thread
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  participants: {
+    type: [ParticipantSchema],
+    required: true
+  },
+  lastMessage: {
+    id: String,
+    username: String,
+    message: String,
+    createdAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Inbox: a user's threads, most recent first
+DirectThreadSchema.index({ 'participants.username': 1, lastMessageAt: -1 });
+
+export const threadKey = (a, b) => JSON.stringify([a, b].sort());
+
+DirectThreadSchema.methods.participant = function (username) {
+  return this.participants.find(participant => participant.username === username) || null;
+};
+
+DirectThreadSchema.methods.otherParticipant = function (username) {
+  return this.participants.find(participant => participant.username !== username) || null;
+};
+
+// The thread as seen by `username`
+DirectThreadSchema.methods.toClient = function (username) {
+  const self = this.participant(username);
+  const other = this.otherParticipant(username);
+  return {
+    id: this._id.toString(),
+    with: other ? other.username : null,
+    unread: self ? self.unread : 0,
+    lastReadAt: self && self.lastReadAt ? self.lastReadAt.toISOString() : null,
+    lastMessage: this.lastMessage && this.lastMessage.id ? {
+      id: this.lastMessage.id,
+      username: this.lastMessage.username,
+      message: this.lastMessage.message,
+      timestamp: this.lastMessage.createdAt.toISOString()
+    } : null,
+    lastMessageAt: this.lastMessageAt.toISOString()
+  };
+};
+
+const DirectThread = mongoose.model('DirectThread', DirectThreadSchema);
+
+export default DirectThread;
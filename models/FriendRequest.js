@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// A pending friend request. Accepting, declining or cancelling deletes it.
+const FriendRequestSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FriendRequestSchema.index({ from: 1, to: 1 }, { unique: true });
+FriendRequestSchema.index({ to: 1, createdAt: -1 });
+
+FriendRequestSchema.methods.toClient = function () {
+  return {
+    from: this.from,
+    to: this.to,
+    createdAt: this.createdAt.toISOString()
+  };
+};
+
+const FriendRequest = mongoose.model('FriendRequest', FriendRequestSchema);
+
+export default FriendRequest;
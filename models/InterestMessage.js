@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+// Interest-room messages, saved only when PERSIST_INTEREST_MESSAGES is on.
+// The live copy is the ring buffer in services/interestHistory.js; this collection is a
+// write-only record of it that expires on its own.
+const InterestMessageSchema = new mongoose.Schema({
+  roomName: {
+    type: String,
+    required: true
+  },
+  // Id the clients reference (reactions, moderation), assigned by the server
+  messageId: {
+    type: String,
+    required: true
+  },
+  clientId: String,
+  username: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  reactions: {
+    type: [{ _id: false, emoji: String, users: [String] }],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+InterestMessageSchema.index({ roomName: 1, messageId: 1 }, { unique: true });
+InterestMessageSchema.index({ roomName: 1, createdAt: -1 });
+// MongoDB keeps the TTL from when the index was first built; changing
+// INTEREST_MESSAGE_TTL_HOURS later needs the index dropped (or collMod) to take effect
+InterestMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.chat.interestMessageTtlHours * 60 * 60 });
+
+const InterestMessage = mongoose.model('InterestMessage', InterestMessageSchema);
+
+export default InterestMessage;
@@ -0,0 +1,229 @@
+import mongoose from 'mongoose';
+import { summarizeReactions, likesOf } from '../services/reactions.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+// Deleted messages can be restored for this long, and are purged a day after deletion
+export const DELETE_UNDO_WINDOW_MS = 30 * 1000;
+const DELETED_RETENTION_SECONDS = 24 * 60 * 60;
+
+const ReactionSchema = new mongoose.Schema({
+  emoji: {
+    type: String,
+    required: true
+  },
+  users: {
+    type: [String],
+    default: []
+  }
+}, { _id: false });
+
+// Previous text of an edited message, oldest first
+const EditSchema = new mongoose.Schema({
+  message: String,
+  editedBy: String,
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// When a recipient got and saw the message, see services/receipts.js. The author has none.
+const ReceiptSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true
+  },
+  deliveredAt: {
+    type: Date,
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const MessageSchema = new mongoose.Schema({
+  roomCode: {
+    type: String,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  // Position in the room, increasing with every message; resume replays from it
+  seq: Number,
+  // Id the client generated for optimistic rendering, echoed back untouched. Also the
+  // idempotency key: a resend with the same id from the same user is not stored twice.
+  clientId: String,
+  // Any other fields the client attached (file url, mimetype, audio, ...)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Emoji reactions, see services/reactions.js
+  reactions: {
+    type: [ReactionSchema],
+    default: []
+  },
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: Date,
+  editHistory: {
+    type: [EditSchema],
+    default: []
+  },
+  receipts: {
+    type: [ReceiptSchema],
+    default: []
+  },
+  // Soft delete: hidden from history but restorable until the undo window closes
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+// History is always read newest-first within a room
+MessageSchema.index({ roomCode: 1, _id: -1 });
+MessageSchema.index({ roomCode: 1, seq: 1 }, { unique: true, partialFilterExpression: { seq: { $exists: true } } });
+MessageSchema.index(
+  { roomCode: 1, username: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $exists: true } } }
+);
+// Only documents with a deletedAt date expire
+MessageSchema.index({ deletedAt: 1 }, { expireAfterSeconds: DELETED_RETENTION_SECONDS });
+
+// Shape sent over the wire; keeps the flat layout clients already render
+MessageSchema.methods.toClient = function () {
+  return {
+    ...this.payload,
+    id: this._id.toString(),
+    clientId: this.clientId,
+    seq: this.seq,
+    roomCode: this.roomCode,
+    username: this.username,
+    message: this.message,
+    reactions: summarizeReactions(this.reactions),
+    likes: likesOf(this.reactions),
+    isEdited: this.isEdited,
+    editedAt: this.editedAt ? this.editedAt.toISOString() : undefined,
+    editCount: this.editHistory.length,
+    receipts: this.receipts.map(({ username, deliveredAt, readAt }) => ({
+      username,
+      deliveredAt: deliveredAt.toISOString(),
+      readAt: readAt ? readAt.toISOString() : null
+    })),
+    timestamp: this.createdAt.toISOString()
+  };
+};
+
+// Replace the text, keeping the previous version in editHistory
+MessageSchema.methods.applyEdit = function (newContent, editedBy) {
+  this.editHistory.push({ message: this.message, editedBy, editedAt: this.editedAt || this.createdAt });
+  this.message = newContent;
+  this.isEdited = true;
+  this.editedAt = new Date();
+};
+
+MessageSchema.methods.softDelete = function (deletedBy) {
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+};
+
+MessageSchema.methods.canUndoDelete = function (now = Date.now()) {
+  return Boolean(this.deletedAt) && now - this.deletedAt.getTime() <= DELETE_UNDO_WINDOW_MS;
+};
+
+MessageSchema.methods.restore = function () {
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+};
+
+// Look a message up by the server id, or by the client id older clients still reference.
+// Client ids are only unique per sender, so they only match messages sent by `username`.
+// Soft-deleted messages are skipped unless `includeDeleted` is set.
+MessageSchema.statics.findInRoom = function (roomCode, messageId, { username, includeDeleted = false } = {}) {
+  if (!messageId) return Promise.resolve(null);
+  const byId = mongoose.isValidObjectId(messageId) ? [{ _id: messageId }] : [];
+  const byClientId = username ? [{ clientId: String(messageId), username }] : [];
+  if (!byId.length && !byClientId.length) return Promise.resolve(null);
+  const query = { roomCode, $or: [...byId, ...byClientId] };
+  if (!includeDeleted) query.deletedAt = null;
+  return this.findOne(query);
+};
+
+// An earlier send of the same client message, if any
+MessageSchema.statics.findResend = function (roomCode, username, clientId) {
+  if (!clientId) return Promise.resolve(null);
+  return this.findOne({ roomCode, username, clientId: String(clientId) });
+};
+
+// Build a message document from a raw sendMessage payload
+MessageSchema.statics.fromClient = function (username, data) {
+  const { roomCode, message, id, username: _ignored, timestamp, ...payload } = data;
+  return new this({
+    roomCode,
+    username,
+    message: typeof message === 'string' ? message : '',
+    clientId: id ? String(id) : undefined,
+    payload
+  });
+};
+
+// Cursor pagination: returns the page of messages older than `before` (a message id),
+// oldest first, plus the cursor to pass back for the next page.
+MessageSchema.statics.fetchPage = async function (roomCode, { before, limit } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const query = { roomCode, deletedAt: null };
+
+  if (before) {
+    if (!mongoose.isValidObjectId(before)) {
+      throw new Error('Invalid cursor');
+    }
+    query._id = { $lt: before };
+  }
+
+  const docs = await this.find(query).sort({ _id: -1 }).limit(pageSize + 1);
+  const hasMore = docs.length > pageSize;
+  const page = docs.slice(0, pageSize).reverse();
+
+  return {
+    messages: page.map(doc => doc.toClient()),
+    nextCursor: hasMore && page.length ? page[0]._id.toString() : null,
+    hasMore
+  };
+};
+
+// Messages after sequence number `afterSeq`, oldest first, for clients catching up after a
+// reconnect. Returns the last sequence number included; pass it back while hasMore is set.
+MessageSchema.statics.fetchSince = async function (roomCode, afterSeq, { limit } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || MAX_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const docs = await this.find({ roomCode, seq: { $gt: afterSeq } }).sort({ seq: 1 }).limit(pageSize + 1);
+  const hasMore = docs.length > pageSize;
+  const page = docs.slice(0, pageSize);
+
+  return {
+    messages: page.filter(doc => !doc.deletedAt).map(doc => doc.toClient()),
+    lastSeq: page.length ? page[page.length - 1].seq : afterSeq,
+    hasMore
+  };
+};
+
+const Message = mongoose.model('Message', MessageSchema);
+
+export default Message;
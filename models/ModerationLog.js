@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// One entry per moderation action, kept per room (private room code or interest room name)
+const ModerationLogSchema = new mongoose.Schema({
+  roomType: {
+    type: String,
+    enum: ['private', 'interest'],
+    required: true
+  },
+  room: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['kick', 'ban', 'unban', 'mute', 'unmute', 'transferOwnership', 'addModerator', 'removeModerator'],
+    required: true
+  },
+  actor: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: String,
+    required: true
+  },
+  reason: String,
+  // Mutes only
+  until: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ModerationLogSchema.index({ roomType: 1, room: 1, createdAt: -1 });
+
+const ModerationLog = mongoose.model('ModerationLog', ModerationLogSchema);
+
+export default ModerationLog;
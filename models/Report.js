@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = ['spam', 'harassment', 'hate', 'sexual', 'violence', 'self-harm', 'underage', 'other'];
+export const REPORT_STATUSES = ['open', 'triaged', 'resolved', 'dismissed'];
+export const REPORT_PRIORITIES = ['low', 'normal', 'high'];
+
+const NoteSchema = new mongoose.Schema({
+  by: String,
+  note: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const FlaggedMessageSchema = new mongoose.Schema({
+  messageId: String,
+  message: String,
+  categories: [String],
+  labels: [String],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// An abuse report plus a snapshot of the conversation at the time it was made. Reports come
+// from users, or from the content filter for messages its policy flags (no reporter).
+const ReportSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['user', 'filter'],
+    default: 'user'
+  },
+  reporter: {
+    type: String,
+    required: function () {
+      return this.source === 'user';
+    }
+  },
+  reported: {
+    type: String,
+    required: true
+  },
+  roomType: {
+    type: String,
+    enum: ['private', 'interest', 'direct'],
+    required: true
+  },
+  room: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    default: ''
+  },
+  // Recent messages of the room: [{ id, username, message, timestamp }]
+  messages: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Filter reports: every flagged message from the user in this room while the report is open
+  flaggedMessages: {
+    type: [FlaggedMessageSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  priority: {
+    type: String,
+    enum: REPORT_PRIORITIES,
+    default: 'normal'
+  },
+  notes: {
+    type: [NoteSchema],
+    default: []
+  },
+  triagedBy: String,
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['dismissed', 'warned', 'suspended']
+    },
+    note: String,
+    resolvedBy: String,
+    resolvedAt: Date,
+    suspendedUntil: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+// The admin queue is read newest-first per status
+ReportSchema.index({ status: 1, _id: -1 });
+ReportSchema.index({ reporter: 1, createdAt: -1 });
+ReportSchema.index({ source: 1, reported: 1, room: 1, status: 1 });
+
+ReportSchema.methods.toAdmin = function () {
+  return {
+    id: this._id.toString(),
+    source: this.source,
+    reporter: this.reporter,
+    reported: this.reported,
+    roomType: this.roomType,
+    room: this.room,
+    reason: this.reason,
+    details: this.details,
+    messages: this.messages,
+    flaggedMessages: this.flaggedMessages,
+    status: this.status,
+    priority: this.priority,
+    notes: this.notes,
+    triagedBy: this.triagedBy,
+    resolution: this.resolution && this.resolution.outcome ? this.resolution : undefined,
+    createdAt: this.createdAt.toISOString()
+  };
+};
+
+const Report = mongoose.model('Report', ReportSchema);
+
+export default Report;
@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcrypt';
+import config, { MODERATION_ACTIONS, MODERATION_CATEGORIES } from '../config/index.js';
+
+// Moderation state, see sockets/moderation.js
+const BanSchema = new mongoose.Schema({
+  username: String,
+  bannedBy: String,
+  reason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const MuteSchema = new mongoose.Schema({
+  username: String,
+  mutedBy: String,
+  until: Date
+}, { _id: false });
+
+// Per-category overrides of the default content policy, see services/contentModeration.js
+const ContentPolicySchema = new mongoose.Schema(
+  Object.fromEntries(MODERATION_CATEGORIES.map(category => [category, { type: String, enum: MODERATION_ACTIONS }])),
+  { _id: false }
+);
+
+const RoomSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  // Roulette rooms are made for one matched pair and only they can join
+  kind: {
+    type: String,
+    enum: ['private', 'roulette'],
+    default: 'private'
+  },
+  members: {
+    type: [String],
+    default: []
+  },
+  // open: anyone with the code; password: code + password; invite: members and invitees only
+  accessMode: {
+    type: String,
+    enum: ['open', 'password', 'invite'],
+    default: 'open'
+  },
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  invited: {
+    type: [String],
+    default: []
+  },
+  bans: {
+    type: [BanSchema],
+    default: []
+  },
+  mutes: {
+    type: [MuteSchema],
+    default: []
+  },
+  maxMembers: {
+    type: Number,
+    default: () => config.rooms.maxMembers,
+    min: 2
+  },
+  // Members who may edit and delete other people's messages, alongside the owner
+  moderators: {
+    type: [String],
+    default: []
+  },
+  contentPolicy: {
+    type: ContentPolicySchema,
+    default: () => ({})
+  },
+  // Chat wallpaper set with changeBackground: an image URL or data URL
+  backgroundImage: {
+    type: String,
+    default: null
+  },
+  // Sequence number of the latest message, see nextMessageSeq in services/roomLifecycle.js
+  lastSeq: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Deleted by the expiry sweep (services/roomLifecycle.js) once this passes
+  expiresAt: {
+    type: Date,
+    default: () => Date.now() + config.rooms.idleExpiryHours * 60 * 60 * 1000
+  }
+});
+
+RoomSchema.index({ expiresAt: 1 });
+
+RoomSchema.methods.isModerator = function (username) {
+  return this.owner === username || this.moderators.includes(username);
+};
+
+RoomSchema.methods.isMember = function (username) {
+  return this.members.includes(username);
+};
+
+RoomSchema.methods.setPassword = async function (password) {
+  this.passwordHash = password ? await bcrypt.hash(password, 10) : undefined;
+};
+
+RoomSchema.methods.isBanned = function (username) {
+  return this.bans.some(ban => ban.username === username);
+};
+
+// username -> mute end (ms) for mutes that haven't run out
+RoomSchema.methods.activeMutes = function (now = Date.now()) {
+  return new Map(this.mutes.filter(mute => mute.until > now).map(mute => [mute.username, mute.until.getTime()]));
+};
+
+// Why `username` may not join, or null if they may. Needs passwordHash selected.
+RoomSchema.methods.joinError = async function (username, password) {
+  if (this.isBanned(username)) return 'You are banned from this room';
+  if (this.isMember(username)) return null;
+  // Roulette rooms belong to the matched pair; don't reveal they exist
+  if (this.kind === 'roulette') return 'Room not found';
+  if (this.accessMode === 'invite' && !this.invited.includes(username)) {
+    return 'This room is invite-only';
+  }
+  if (this.accessMode === 'password') {
+    if (typeof password !== 'string' || !password) return 'Password required';
+    if (!this.passwordHash || !await bcrypt.compare(password, this.passwordHash)) return 'Incorrect password';
+  }
+  if (this.members.length >= this.maxMembers) return 'Room is full';
+  return null;
+};
+
+const Room = mongoose.model('Room', RoomSchema);
+
+export default Room;
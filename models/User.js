@@ -1,5 +1,69 @@
 import mongoose from 'mongoose';
 
+// One entry per signed-in device; only a hash of the refresh token is kept
+const SessionSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  device: {
+    type: String,
+    default: 'unknown'
+  },
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Set by an admin, see services/suspension.js; no `until` means indefinitely
+const SuspensionSchema = new mongoose.Schema({
+  reason: String,
+  suspendedBy: String,
+  suspendedAt: {
+    type: Date,
+    default: Date.now
+  },
+  until: Date
+}, { _id: false });
+
+// What other users see, see services/profiles.js
+const ProfileSchema = new mongoose.Schema({
+  displayName: String,
+  avatarUrl: String,
+  bio: String,
+  pronouns: String,
+  // Canonical interest tags, used when a client doesn't send its own
+  interests: {
+    type: [String],
+    default: []
+  },
+  locale: String
+}, { _id: false });
+
+const VISIBILITY = {
+  type: String,
+  enum: ['everyone', 'friends', 'nobody'],
+  default: 'everyone'
+};
+
+// Who can see each optional profile field; the username and display name are always public
+const PrivacySchema = new mongoose.Schema({
+  avatar: VISIBILITY,
+  bio: VISIBILITY,
+  pronouns: VISIBILITY,
+  interests: VISIBILITY
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -11,6 +75,7 @@ const UserSchema = new mongoose.Schema({
   email: {
     type: String,
     required: true,
+    unique: true,
     trim: true
   },
   password: {
@@ -29,9 +94,61 @@ const UserSchema = new mongoose.Schema({
     default: Date.now
   },
   resetPasswordToken: String,
-  resetPasswordExpires: Date
+  resetPasswordExpires: Date,
+  // Brute-force protection, see services/accountLockout.js
+  failedAuthAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  profile: {
+    type: ProfileSchema,
+    default: () => ({})
+  },
+  privacy: {
+    type: PrivacySchema,
+    default: () => ({})
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  suspension: {
+    type: SuspensionSchema,
+    default: undefined
+  },
+  // Usernames this user never wants to be matched or chat with
+  blockedUsers: {
+    type: [String],
+    default: []
+  },
+  // Accepted friends; services/friends.js keeps both users' lists in step
+  friends: {
+    type: [String],
+    default: []
+  },
+  // Who may start direct messages with this user: mutual friends only, or anyone
+  dmPolicy: {
+    type: String,
+    enum: ['friends', 'everyone'],
+    default: 'friends'
+  },
+  // Updated when the user's last socket disconnects, see services/presence.js
+  lastSeenAt: Date,
+  sessions: {
+    type: [SessionSchema],
+    default: []
+  }
 });
 
+UserSchema.index({ 'sessions.tokenHash': 1 });
+UserSchema.index({ blockedUsers: 1 });
+
 const User = mongoose.model('User', UserSchema);
 
-export default User; 
\ No newline at end of file
+export default User;
@@ -0,0 +1,217 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Report, { REPORT_PRIORITIES, REPORT_STATUSES } from '../models/Report.js';
+import { requireAuth, requireAdmin, userRoom } from '../middleware/auth.js';
+import { revokeAllSessions } from '../services/sessions.js';
+import { suspendUser, liftSuspension } from '../services/suspension.js';
+import { disconnectRoom } from '../sockets/index.js';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_SUSPENSION_DAYS = 3650;
+const RESOLUTION_OUTCOMES = ['dismissed', 'warned', 'suspended'];
+
+const cleanNote = (note) => (typeof note === 'string' ? note.trim().slice(0, MAX_NOTE_LENGTH) : '');
+
+// Admin review queue for user reports, plus account suspension
+export const createAdminRouter = ({ io }) => {
+  const router = express.Router();
+  router.use('/admin', requireAuth, requireAdmin);
+
+  const findReport = async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      res.status(404).json({ message: 'Report not found' });
+      return null;
+    }
+    const report = await Report.findById(req.params.id);
+    if (!report) res.status(404).json({ message: 'Report not found' });
+    return report;
+  };
+
+  // Suspend and sign the user out everywhere. `days` omitted means indefinitely.
+  const suspend = async (username, { days, reason, by }) => {
+    const user = await suspendUser(username, { days, reason, by });
+    if (!user) return null;
+    await revokeAllSessions(user._id);
+    disconnectRoom(io, userRoom(user._id.toString()));
+    return user;
+  };
+
+  const parseDays = (value) => {
+    if (value === undefined || value === null || value === '') return { days: undefined };
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SUSPENSION_DAYS) {
+      return { error: `Suspension days must be an integer between 1 and ${MAX_SUSPENSION_DAYS}` };
+    }
+    return { days };
+  };
+
+  // Newest first: GET /admin/reports?status=open&source=filter&before=<id>&limit=25
+  router.get('/admin/reports', async (req, res) => {
+    try {
+      const { status, source, before, limit } = req.query;
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const query = {};
+      if (status) {
+        if (!REPORT_STATUSES.includes(status)) {
+          return res.status(400).json({ message: `Status must be one of ${REPORT_STATUSES.join(', ')}` });
+        }
+        query.status = status;
+      }
+      if (source) {
+        if (!['user', 'filter'].includes(source)) {
+          return res.status(400).json({ message: 'Source must be user or filter' });
+        }
+        query.source = source;
+      }
+      if (before) {
+        if (!mongoose.isValidObjectId(before)) {
+          return res.status(400).json({ message: 'Invalid cursor' });
+        }
+        query._id = { $lt: before };
+      }
+
+      const docs = await Report.find(query, '-messages -flaggedMessages').sort({ _id: -1 }).limit(pageSize + 1);
+      const hasMore = docs.length > pageSize;
+      const page = docs.slice(0, pageSize);
+      return res.status(200).json({
+        reports: page.map(doc => doc.toAdmin()),
+        nextCursor: hasMore ? page[page.length - 1]._id.toString() : null,
+        hasMore
+      });
+    } catch (error) {
+      console.error('Error listing reports:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  router.get('/admin/reports/:id', async (req, res) => {
+    try {
+      const report = await findReport(req, res);
+      if (!report) return;
+      return res.status(200).json(report.toAdmin());
+    } catch (error) {
+      console.error('Error loading report:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Triage: PATCH /admin/reports/:id { priority?, note? } marks an open report as triaged
+  router.patch('/admin/reports/:id', async (req, res) => {
+    try {
+      const { priority, note } = req.body;
+      if (priority !== undefined && !REPORT_PRIORITIES.includes(priority)) {
+        return res.status(400).json({ message: `Priority must be one of ${REPORT_PRIORITIES.join(', ')}` });
+      }
+
+      const report = await findReport(req, res);
+      if (!report) return;
+      if (['resolved', 'dismissed'].includes(report.status)) {
+        return res.status(409).json({ message: 'Report is already closed' });
+      }
+
+      if (priority) report.priority = priority;
+      if (cleanNote(note)) report.notes.push({ by: req.user.username, note: cleanNote(note) });
+      report.status = 'triaged';
+      report.triagedBy = req.user.username;
+      await report.save();
+
+      return res.status(200).json(report.toAdmin());
+    } catch (error) {
+      console.error('Error triaging report:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Close a report: POST /admin/reports/:id/resolve { outcome, note?, suspendDays? }
+  // outcome 'suspended' also suspends the reported user (indefinitely without suspendDays).
+  router.post('/admin/reports/:id/resolve', async (req, res) => {
+    try {
+      const { outcome, note, suspendDays } = req.body;
+      if (!RESOLUTION_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ message: `Outcome must be one of ${RESOLUTION_OUTCOMES.join(', ')}` });
+      }
+      const { days, error } = parseDays(suspendDays);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const report = await findReport(req, res);
+      if (!report) return;
+      if (['resolved', 'dismissed'].includes(report.status)) {
+        return res.status(409).json({ message: 'Report is already closed' });
+      }
+
+      let suspendedUntil;
+      if (outcome === 'suspended') {
+        const user = await suspend(report.reported, {
+          days,
+          reason: cleanNote(note) || `Reported for ${report.reason}`,
+          by: req.user.username
+        });
+        if (!user) {
+          return res.status(404).json({ message: 'Reported user no longer exists' });
+        }
+        suspendedUntil = user.suspension.until;
+      }
+
+      report.status = outcome === 'dismissed' ? 'dismissed' : 'resolved';
+      report.resolution = {
+        outcome,
+        note: cleanNote(note),
+        resolvedBy: req.user.username,
+        resolvedAt: new Date(),
+        suspendedUntil
+      };
+      await report.save();
+      console.log(`Report ${report._id} ${report.status} by ${req.user.username} (${outcome})`);
+
+      return res.status(200).json(report.toAdmin());
+    } catch (error) {
+      console.error('Error resolving report:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Suspend directly: POST /admin/users/:username/suspend { days?, reason? }
+  router.post('/admin/users/:username/suspend', async (req, res) => {
+    try {
+      const { days, error } = parseDays(req.body.days);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      if (req.params.username === req.user.username) {
+        return res.status(400).json({ message: 'You cannot suspend yourself' });
+      }
+
+      const user = await suspend(req.params.username, { days, reason: cleanNote(req.body.reason), by: req.user.username });
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      return res.status(200).json({
+        message: 'User suspended',
+        suspendedUntil: user.suspension.until ? user.suspension.until.toISOString() : null
+      });
+    } catch (error) {
+      console.error('Error suspending user:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  router.delete('/admin/users/:username/suspension', async (req, res) => {
+    try {
+      const user = await liftSuspension(req.params.username);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      console.log(`Suspension of ${req.params.username} lifted by ${req.user.username}`);
+      return res.status(200).json({ message: 'Suspension lifted' });
+    } catch (error) {
+      console.error('Error lifting suspension:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  return router;
+};
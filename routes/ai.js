@@ -0,0 +1,93 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { generateText } from '../services/gemini.js';
+import { describeInterest, normalizeInterests } from '../services/interestCatalog.js';
+
+// Canonical interests as readable labels for prompts
+const interestLabels = (interests) => normalizeInterests(interests).map(tag => describeInterest(tag).label);
+
+// Optional list fields (chat_history, participants) must be arrays when they are sent
+const isOptionalList = (value) => value === undefined || value === null || Array.isArray(value);
+
+// Gemini-backed helpers under /api
+
+export const createAiRouter = () => {
+  const router = express.Router();
+
+  // AI-powered icebreaker endpoint (now using Gemini)
+  router.post('/api/icebreaker', requireAuth, async (req, res) => {
+    try {
+      const interests = interestLabels(req.body.interests);
+      const prompt = `Give me only one fun, safe, and friendly icebreaker question for a chat between strangers who are interested in: ${interests.length ? interests.join(', ') : 'anything'}. Do not include any preamble or explanation, just output the question itself.`;
+      const aiIcebreaker = await generateText(prompt) || "What's something interesting about your favorite hobby?";
+      res.json({ icebreaker: aiIcebreaker });
+    } catch (err) {
+      res.json({ icebreaker: "What's something interesting about your favorite hobby?" });
+    }
+  });
+
+  // Gemini API test endpoint
+  router.post('/api/gemini', requireAuth, async (req, res) => {
+    const { prompt } = req.body;
+    if (!prompt) {
+      return res.status(400).json({ error: 'Prompt is required.' });
+    }
+    try {
+      const geminiText = await generateText(prompt) || 'No response from Gemini.';
+      res.json({ reply: geminiText });
+    } catch (error) {
+      console.error('Gemini API error:', error.response?.data || error.message);
+      res.status(500).json({ error: 'Failed to get response from Gemini.' });
+    }
+  });
+
+  // AI suggestion endpoint (Gemini)
+  router.post('/api/ai-suggest-reply', requireAuth, async (req, res) => {
+    const { selected_message, chat_history, participants } = req.body;
+    if (!isOptionalList(chat_history) || !isOptionalList(participants)) {
+      return res.status(400).json({ error: 'chat_history and participants must be arrays.' });
+    }
+    try {
+      const interests = interestLabels(req.body.interests);
+      // Compose a prompt for Gemini
+      const prompt = `You are WingmanAI, a helpful assistant for chat conversations.\nGiven the following conversation in an interest-based chat room, answer from the perspective of the user who is asking (not as an outsider or general AI).\nUse the chat history and the user's interests to make your reply relevant and personal.\n\nConversation history:\n${(chat_history || []).join('\n')}\n\nLast message from user: '${selected_message}'\nParticipants: ${(participants || []).join(', ')}.\nInterests: ${interests.join(', ')}.\n\nSuggest a smart, friendly, and engaging reply to keep the conversation going. Make it relevant to the interests. Be helpful, positive, and natural.\nJust output the reply, no preamble or explanation.`;
+      const suggestion = await generateText(prompt) || "Could not generate a suggestion.";
+      res.json({ suggestion });
+    } catch (err) {
+      res.json({ suggestion: "Could not generate a suggestion." });
+    }
+  });
+
+  // Gemini open chat endpoint
+  router.post('/api/gemini-chat', requireAuth, async (req, res) => {
+    const { prompt } = req.body;
+    if (!prompt) {
+      return res.status(400).json({ error: 'Prompt is required.' });
+    }
+    try {
+      const chatResponse = await generateText(prompt) || 'No response from Gemini.';
+      res.json({ response: chatResponse });
+    } catch (error) {
+      res.status(500).json({ response: 'Could not generate a response.' });
+    }
+  });
+
+  // Compatibility Meter endpoint (Gemini)
+  router.post('/api/compatibility-meter', requireAuth, async (req, res) => {
+    const { chat_history } = req.body;
+    if (!isOptionalList(chat_history)) {
+      return res.status(400).json({ error: 'chat_history must be an array.' });
+    }
+    try {
+      const user1_interests = interestLabels(req.body.user1_interests);
+      const user2_interests = interestLabels(req.body.user2_interests);
+      const prompt = `Analyze the following chat conversation between two users. Based on their shared interests, the tone of their messages, and how well they engaged with each other, give a compatibility score from 0 to 100 and a short, fun label (like “Perfect Vibe!” or “Great Match!”).\n\nChat history:\n${(chat_history || []).join('\n')}\n\nUser 1 interests: ${user1_interests.join(', ')}\nUser 2 interests: ${user2_interests.join(', ')}\n\nRespond in this format:\nScore: [number]%\nLabel: [short phrase]\nReason: [one-sentence explanation]`;
+      const result = await generateText(prompt) || "Could not generate a compatibility score.";
+      res.json({ result });
+    } catch (err) {
+      res.json({ result: "Could not generate a compatibility score." });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,589 @@
+import express from 'express';
+import cors from 'cors';
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import config from '../config/index.js';
+import User from '../models/User.js';
+import { requireAuth, sessionRoom, userRoom } from '../middleware/auth.js';
+import { rateLimit, ipKey, accountKey } from '../middleware/rateLimit.js';
+import { createSession, rotateSession, revokeSession, revokeSessionByToken, revokeAllSessions } from '../services/sessions.js';
+import { isLocked, recordFailedAttempt, clearFailedAttempts, sendLocked } from '../services/accountLockout.js';
+import { isSuspended, sendSuspended } from '../services/suspension.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../services/mailer.js';
+import { disconnectRoom } from '../sockets/index.js';
+
+// Registration, email verification, login, password reset and session management
+
+// Rate limits for auth and OTP endpoints (per IP and per account email, see middleware/rateLimit.js)
+const MINUTE = 60 * 1000;
+const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: 15 * MINUTE,
+  max: config.rateLimit.loginMax,
+  keys: [ipKey, accountKey],
+  message: 'Too many login attempts. Please try again later.'
+});
+const otpVerifyLimiter = rateLimit({
+  name: 'verify-otp',
+  windowMs: 15 * MINUTE,
+  max: config.rateLimit.otpVerifyMax,
+  keys: [ipKey, accountKey],
+  message: 'Too many verification attempts. Please try again later.'
+});
+// Anything that sends an email: keep it low to prevent email bombing
+const emailLimiter = rateLimit({
+  name: 'email',
+  windowMs: 60 * MINUTE,
+  max: config.rateLimit.emailMax,
+  keys: [ipKey, accountKey],
+  message: 'Too many emails requested. Please try again later.'
+});
+const passwordResetLimiter = rateLimit({
+  name: 'reset-password',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  message: 'Too many password reset attempts. Please try again later.'
+});
+
+// Generate a fresh 6-digit verification OTP, store it on the user and email it.
+// Returns false if the email could not be sent (the OTP is still saved).
+const issueVerificationOtp = async (user) => {
+  const otp = Math.floor(100000 + Math.random() * 900000).toString();
+  user.verificationToken = otp;
+  user.verificationTokenExpires = Date.now() + 3600000; // 1 hour
+  await user.save();
+
+  try {
+    await sendVerificationEmail(user.email, { otp });
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send verification email to ${user.email}:`, error);
+    return false;
+  }
+};
+
+// `io` is used to disconnect live sockets when sessions are revoked
+export const createAuthRouter = ({ io }) => {
+  const router = express.Router();
+
+  // Updated registration endpoint to handle existing users
+  router.post('/register', emailLimiter, async (req, res) => {
+    try {
+      const { username, email, password } = req.body;
+
+      // Validate input
+      if (!username || !email || !password) {
+        return res.status(400).json({ message: 'Username, email, and password are required' });
+      }
+
+      // Check if email already exists
+      const existingUser = await User.findOne({ email });
+
+      if (existingUser) {
+        // User with this email already exists
+        if (existingUser.isVerified) {
+          // User is already verified, redirect to login
+          return res.status(400).json({ 
+            message: 'This email is already registered and verified. Please login instead.',
+            redirectTo: '/login'
+          });
+        } else {
+          // User exists but not verified - update their details
+          console.log('Updating existing unverified user:', existingUser.username);
+
+          // Update username and password
+          const salt = await bcrypt.genSalt(10);
+          const hashedPassword = await bcrypt.hash(password, salt);
+
+          existingUser.username = username;
+          existingUser.password = hashedPassword;
+
+          // Generate and email a new verification OTP
+          const emailSent = await issueVerificationOtp(existingUser);
+
+          return res.status(200).json({
+            message: emailSent
+              ? 'Account already exists but not verified. We\'ve sent a new verification code.'
+              : 'Account already exists but not verified. We could not send a verification code, please request a new one.',
+            email: existingUser.email,
+            emailSent,
+            redirectTo: '/verify-email'
+          });
+        }
+      }
+
+      // This is a new user - create account
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(password, salt);
+
+      // Create new user
+      const newUser = new User({
+        username,
+        email,
+        password: hashedPassword,
+        isVerified: false
+      });
+
+      // Save user to database
+      await newUser.save();
+
+      console.log(`User registered successfully: ${username} (${email})`);
+
+      // Generate and email a verification OTP
+      const emailSent = await issueVerificationOtp(newUser);
+
+      // Return success 
+      res.status(201).json({
+        message: emailSent
+          ? 'Registration successful! Please verify your email.'
+          : 'Registration successful, but we could not send the verification email. Please request a new code.',
+        email: newUser.email,
+        emailSent,
+        redirectTo: '/verify-email'
+      });
+
+    } catch (error) {
+      console.error('Registration error:', error);
+      res.status(500).json({ message: 'Server error during registration' });
+    }
+  });
+
+
+  router.options('/login', (req, res) => {
+    res.sendStatus(200);
+  });
+
+  // Updated login endpoint to check verification status
+  router.post('/login', loginLimiter, async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      // Validate input
+      if (!email || !password) {
+        return res.status(400).json({ message: 'Email and password are required' });
+      }
+
+      // Find user by email
+      const user = await User.findOne({ email });
+
+      // Check if user exists
+      if (!user) {
+        return res.status(404).json({ 
+          message: 'User not found. Please register first.',
+          redirectTo: '/register'
+        });
+      }
+
+      if (isLocked(user)) {
+        return sendLocked(res, user);
+      }
+
+      // Check if password is correct
+      const isPasswordValid = await bcrypt.compare(password, user.password);
+      if (!isPasswordValid) {
+        if (await recordFailedAttempt(user)) {
+          return sendLocked(res, user);
+        }
+        return res.status(401).json({ message: 'Invalid password' });
+      }
+      await clearFailedAttempts(user);
+
+      if (isSuspended(user)) {
+        return sendSuspended(res, user);
+      }
+
+      // Check if user is verified
+      if (!user.isVerified) {
+        // Generate and email a new OTP for verification
+        const emailSent = await issueVerificationOtp(user);
+
+        return res.status(403).json({ 
+          message: 'Please verify your email before logging in.',
+          email: user.email,
+          emailSent,
+          redirectTo: '/verify-email'
+        });
+      }
+
+      // Create JWT access token plus a refresh token for this device
+      const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+      // Return success with token
+      return res.status(200).json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        expiresIn,
+        username: user.username,
+        email: user.email,
+        redirectTo: '/chatlanding',
+        isVerified: true
+      });
+
+    } catch (error) {
+      console.error('Login error:', error);
+      return res.status(500).json({ message: 'Server error during login' });
+    }
+  });
+
+  router.get('/verify/:token', cors({
+    origin: config.cors.allowedOrigins,
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization']
+  }), async (req, res) => {
+    const user = await User.findOne({ verificationToken: req.params.token });
+    if (!user) {
+      return res.status(400).send('Invalid verification token');
+    }
+
+    user.isVerified = true;
+    user.verificationToken = null; // Clear the token
+    await user.save();
+
+    res.send('Email verified successfully! You can now log in.');
+  });
+
+  // Updated send-verification-otp endpoint with better credential handling
+  router.post('/send-verification-otp', emailLimiter, async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      console.log('Sending verification OTP to:', email);
+
+      if (!email) {
+        return res.status(400).json({ message: 'Email is required' });
+      }
+
+      // Find the user by email
+      const user = await User.findOne({ email });
+
+      if (!user) {
+        console.log('User not found for email:', email);
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      // Generate, store and email a 6-digit OTP
+      const emailSent = await issueVerificationOtp(user);
+      if (!emailSent) {
+        return res.status(500).json({ 
+          message: 'Failed to send verification email. Please try again later.'
+        });
+      }
+
+      return res.status(200).json({
+        message: 'Verification code sent to your email'
+      });
+
+    } catch (error) {
+      console.error('❌ Error in send-verification-otp:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Updated verify-otp endpoint to include showAlert flag for SweetAlert
+  router.post('/verify-otp', otpVerifyLimiter, async (req, res) => {
+    try {
+      const { email, otp } = req.body;
+
+      console.log('Verifying OTP -', 'Email:', email, 'Submitted OTP:', otp);
+
+      if (!email || !otp) {
+        console.log('Missing required fields');
+        return res.status(400).json({ message: 'Email and OTP are required' });
+      }
+
+      // Find user
+      const user = await User.findOne({ email });
+      if (!user) {
+        console.log('User not found');
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      console.log('User found:', user.username);
+
+      if (isLocked(user)) {
+        return sendLocked(res, user);
+      }
+
+      // Check if OTP exists
+      if (!user.verificationToken) {
+        console.log('No verification token found');
+        return res.status(400).json({ 
+          message: 'No verification code found. Please request a new one.' 
+        });
+      }
+
+      // Convert both to strings for comparison
+      const submittedOtp = String(otp);
+      const storedToken = String(user.verificationToken);
+
+      // Check if OTP matches
+      if (submittedOtp !== storedToken) {
+        console.log('Invalid OTP');
+        const locked = await recordFailedAttempt(user);
+        if (locked) {
+          // Burn the code so guessing has to start over with a freshly emailed one
+          user.verificationToken = undefined;
+          user.verificationTokenExpires = undefined;
+          await user.save();
+          return sendLocked(res, user);
+        }
+        return res.status(400).json({ message: 'Invalid verification code' });
+      }
+
+      // Check if token is expired
+      if (user.verificationTokenExpires < Date.now()) {
+        console.log('Token expired');
+        return res.status(400).json({ 
+          message: 'Verification code expired. Please request a new one.' 
+        });
+      }
+
+      // Mark user as verified
+      user.isVerified = true;
+      user.verificationToken = undefined;
+      user.verificationTokenExpires = undefined;
+      user.failedAuthAttempts = 0;
+      user.lockCount = 0;
+      user.lockUntil = undefined;
+      await user.save();
+
+      console.log('User verified successfully');
+
+      if (isSuspended(user)) {
+        return sendSuspended(res, user);
+      }
+
+      // Create token
+      const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+      // Return token with showAlert flag for SweetAlert
+      return res.status(200).json({
+        message: 'Email verified successfully',
+        token,
+        refreshToken,
+        expiresIn,
+        username: user.username,
+        nextStep: 'chatlanding',
+        redirectTo: '/chatlanding',
+        showAlert: true,
+        alertTitle: 'Verification Successful!',
+        alertText: 'Your email has been verified. Welcome to the app!',
+        alertIcon: 'success'
+      });
+
+    } catch (error) {
+      console.error('OTP verification error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Add a verification status check endpoint
+  router.post('/check-verification-status', async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({ message: 'Email is required' });
+      }
+
+      const user = await User.findOne({ email });
+
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      res.status(200).json({
+        hasVerificationToken: !!user.verificationToken,
+        tokenExpired: user.verificationTokenExpires < Date.now(),
+        isVerified: user.isVerified
+      });
+
+    } catch (error) {
+      console.error('Error checking verification status:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+
+  // Route to request password reset
+  router.post('/forgot-password', emailLimiter, async (req, res) => {
+    console.log('✅ Hit /forgot-password')
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({ message: 'Email is required' });
+      }
+
+      // Find user by email
+      const user = await User.findOne({ email });
+
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      // Generate reset token (random string)
+      const resetToken = crypto.randomBytes(32).toString('hex');
+
+      // Hash the token for security before storing
+      const hashedToken = crypto
+        .createHash('sha256')
+        .update(resetToken)
+        .digest('hex');
+
+      // Set token and expiration on user document
+      user.resetPasswordToken = hashedToken;
+      user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+      await user.save();
+
+      // Create reset URL - adjusted for React frontend
+      const resetUrl = `${config.clientUrl}/reset-password/${resetToken}`;
+
+      // Send email
+      try {
+        await sendPasswordResetEmail(email, { resetUrl });
+
+        return res.status(200).json({
+          message: 'Password reset link sent to your email'
+        });
+      } catch (emailError) {
+        console.error('❌ Failed to send password reset email:', emailError);
+        return res.status(500).json({ 
+          message: 'Failed to send reset email. Please try again later.'
+        });
+      }
+
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Route to handle password reset
+  router.post('/reset-password/:token', passwordResetLimiter, async (req, res) => {
+    console.log('✅ Hit /reset-password/:token')
+    try {
+      const { password } = req.body;
+      const { token } = req.params;
+
+      if (!password) {
+        return res.status(400).json({ message: 'New password is required' });
+      }
+
+      // Hash the token from URL to compare with stored one
+      const hashedToken = crypto
+        .createHash('sha256')
+        .update(token)
+        .digest('hex');
+
+      // Find user with the token and check if token is still valid
+      const user = await User.findOne({
+        resetPasswordToken: hashedToken,
+        resetPasswordExpires: { $gt: Date.now() }
+      });
+
+      if (!user) {
+        return res.status(400).json({ 
+          message: 'Password reset token is invalid or has expired' 
+        });
+      }
+
+      // Hash the new password
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(password, salt);
+
+      // Update user's password and clear reset token fields
+      user.password = hashedPassword;
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpires = undefined;
+      user.sessions = []; // sign out every device after a password change
+      await user.save();
+      disconnectRoom(io, userRoom(user._id.toString()));
+
+      console.log('Password reset successfully for user:', user.username);
+
+      return res.status(200).json({
+        message: 'Password has been reset successfully',
+        redirectTo: '/login'
+      });
+
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Exchange a refresh token for a fresh access/refresh token pair
+  router.post('/auth/refresh', async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({ message: 'Refresh token is required' });
+      }
+
+      const session = await rotateSession(refreshToken);
+      if (!session) {
+        return res.status(401).json({ message: 'Invalid or expired refresh token' });
+      }
+      if (isSuspended(session.user)) {
+        await revokeSessionByToken(session.refreshToken);
+        return sendSuspended(res, session.user);
+      }
+
+      return res.status(200).json({
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        username: session.user.username
+      });
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Log out the current device. Accepts the refresh token in the body, or falls back to the
+  // session of the bearer access token, so clients can log out even after the access token expired.
+  router.post('/auth/logout', async (req, res, next) => {
+    const { refreshToken } = req.body;
+    if (refreshToken) return next();
+    return requireAuth(req, res, next);
+  }, async (req, res) => {
+    try {
+      let revoked;
+      if (req.body.refreshToken) {
+        revoked = await revokeSessionByToken(String(req.body.refreshToken));
+      } else if (req.user.sessionId && await revokeSession(req.user.id, req.user.sessionId)) {
+        revoked = { userId: req.user.id, sessionId: req.user.sessionId };
+      }
+
+      if (revoked) {
+        disconnectRoom(io, sessionRoom(revoked.sessionId));
+        console.log(`Session ${revoked.sessionId} logged out`);
+      }
+
+      return res.status(200).json({ message: 'Logged out successfully', redirectTo: '/login' });
+    } catch (error) {
+      console.error('Logout error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Log out every device of the authenticated user
+  router.post('/auth/logout-all', requireAuth, async (req, res) => {
+    try {
+      await revokeAllSessions(req.user.id);
+      disconnectRoom(io, userRoom(req.user.id));
+      console.log(`All sessions revoked for user ${req.user.username}`);
+
+      return res.status(200).json({ message: 'Logged out from all devices', redirectTo: '/login' });
+    } catch (error) {
+      console.error('Logout-all error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,42 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { BlockError, blockUser, listBlockedUsers, unblockUser } from '../services/blocks.js';
+
+export const createBlocksRouter = () => {
+  const router = express.Router();
+
+  router.get('/blocks', requireAuth, async (req, res) => {
+    try {
+      return res.status(200).json({ blocked: await listBlockedUsers(req.user.username) });
+    } catch (error) {
+      console.error('Error listing blocked users:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Block a user: POST /blocks { username }
+  router.post('/blocks', requireAuth, async (req, res) => {
+    try {
+      await blockUser(req.user.username, req.body.username);
+      return res.status(200).json({ message: 'User blocked' });
+    } catch (error) {
+      if (error instanceof BlockError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error blocking user:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  router.delete('/blocks/:username', requireAuth, async (req, res) => {
+    try {
+      await unblockUser(req.user.username, req.params.username);
+      return res.status(200).json({ message: 'User unblocked' });
+    } catch (error) {
+      console.error('Error unblocking user:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,83 @@
+import express from 'express';
+import pkg from 'node-nlp'; // Import the entire package
+
+const { NlpManager } = pkg; // Destructure to get NlpManager
+
+// Build and train the NLP Manager behind the help chatbot
+const trainManager = async () => {
+  const manager = new NlpManager({ languages: ["en"], forceNER: true });
+
+  // Add training data
+  // Greetings
+  manager.addDocument("en", "hello", "greeting.hello");
+  manager.addDocument("en", "hi", "greeting.hello");
+  manager.addDocument("en", "hey", "greeting.hello");
+  // How are you inquiries
+  manager.addDocument("en", "how are you", "bot.feelings");
+  manager.addDocument("en", "how's it going", "bot.feelings");
+  // Ask about app purpose
+  manager.addDocument("en", "what is this", "app.purpose");
+  manager.addDocument("en", "what's this", "app.purpose");
+  // Features inquiries
+  manager.addDocument("en", "what features do you have", "app.features");
+  manager.addDocument("en", "what can you do", "app.features");
+  // Privacy
+  manager.addDocument("en", "is my chat secure", "app.privacy");
+  manager.addDocument("en", "private", "app.privacy");
+  // How to use the app
+  manager.addDocument("en", "how do i use this", "app.howto");
+  manager.addDocument("en", "how to start", "app.howto");
+  // Account/login
+  manager.addDocument("en", "login", "app.login");
+  // Logout
+  manager.addDocument("en", "logout", "app.logout");
+  // Support/help
+  manager.addDocument("en", "help", "app.help");
+
+  // Add responses
+  manager.addAnswer("en", "greeting.hello", "Hello! How can I help you today?");
+  manager.addAnswer("en", "bot.feelings", "I'm just a bot, but I'm here to assist you!");
+  manager.addAnswer("en", "app.purpose", "ChatRouletteX connects you with others via private chat rooms and real-time messaging.");
+  manager.addAnswer("en", "app.features", "Our app offers real-time messaging, voice chats, customizable themes, and more!");
+  manager.addAnswer("en", "app.privacy", "Your privacy is our priority. All chats remain secure and confidential.");
+  manager.addAnswer("en", "app.howto", "Getting started is easy! Click on 'Chat Now' to start chatting or create/join a private room.");
+  manager.addAnswer("en", "app.login", "Simply enter your username on the login page. No complicated registration needed!");
+  manager.addAnswer("en", "app.logout", "To log out, click the logout button in the navigation bar.");
+  manager.addAnswer("en", "app.help", "I'm here to help! What do you need assistance with?");
+
+  // Default fallback
+  manager.addAnswer("en", "None", "I'm not sure I understand. Could you please rephrase your question?");
+
+  await manager.train();
+  manager.save(); // Optional: persist the model
+  console.log("NLP Manager trained and ready.");
+  return manager;
+};
+
+// Training starts once, the first time a router is created; requests wait for it
+let ready = null;
+
+export const createChatbotRouter = () => {
+  const router = express.Router();
+  ready = ready || trainManager();
+
+  // Chatbot endpoint using node-nlp
+  router.post("/api/chatbot", async (req, res) => {
+    const { message } = req.body;
+    console.log("Received message:", message); // Log the received message
+    if (!message || typeof message !== "string") {
+      return res.status(400).json({ reply: "Invalid message." });
+    }
+    try {
+      const manager = await ready;
+      const result = await manager.process("en", message);
+      const reply = result.answer || "I'm not sure I understand. Could you please rephrase your question?";
+      return res.json({ reply });
+    } catch (error) {
+      console.error("Error processing NLP:", error);
+      return res.status(500).json({ reply: "Sorry, an error occurred while processing your request." });
+    }
+  });
+
+  return router;
+};
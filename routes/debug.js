@@ -0,0 +1,131 @@
+import express from 'express';
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { createSession } from '../services/sessions.js';
+
+// Development-only helpers for verifying accounts without email.
+// They hand out valid tokens for any account, so they are only mounted when
+// ENABLE_DEBUG_ROUTES is set outside production, and every call needs the admin token.
+
+export const isDebugEnabled = ({ nodeEnv, enabled }) => Boolean(enabled) && nodeEnv !== 'production';
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const requireAdminToken = (adminToken) => (req, res, next) => {
+  const provided = req.headers['x-admin-token'];
+  if (!provided || !safeEqual(provided, adminToken)) {
+    return res.status(401).json({ message: 'Admin token required' });
+  }
+  next();
+};
+
+const listRoutes = (app) => {
+  const routes = [];
+  const collect = (stack, prefix = '') => {
+    stack.forEach((layer) => {
+      if (layer.route) {
+        routes.push({
+          path: prefix + layer.route.path,
+          methods: Object.keys(layer.route.methods).join(', ')
+        });
+      } else if (layer.name === 'router' && layer.handle.stack) {
+        collect(layer.handle.stack, prefix + (layer.handle.mountPath || ''));
+      }
+    });
+  };
+  collect(app._router.stack);
+  return routes;
+};
+
+export const createDebugRouter = ({ adminToken }) => {
+  const router = express.Router();
+  router.mountPath = '/debug';
+  router.use(requireAdminToken(adminToken));
+
+  // List every registered route
+  router.get('/routes', (req, res) => {
+    res.json(listRoutes(req.app));
+  });
+
+  // Set a fixed OTP ("123456") on an account so the normal /verify-otp flow can be exercised
+  router.post('/generate-test-otp', async (req, res) => {
+    try {
+      const { email } = req.body;
+      if (!email) {
+        return res.status(400).json({ message: 'Email is required' });
+      }
+
+      const user = await User.findOne({ email });
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const otp = '123456';
+      user.verificationToken = otp;
+      user.verificationTokenExpires = Date.now() + 3600000; // 1 hour
+      await user.save();
+
+      return res.status(200).json({ message: 'Test OTP generated', email, otp });
+    } catch (error) {
+      console.error('Error generating test OTP:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // Force-verify an account and sign it in
+  router.post('/verify', async (req, res) => {
+    try {
+      const { email } = req.body;
+      if (!email) {
+        return res.status(400).json({ message: 'Email is required' });
+      }
+
+      const user = await User.findOne({ email });
+      if (!user) {
+        return res.status(404).json({ message: 'User not found with email: ' + email });
+      }
+
+      user.isVerified = true;
+      user.verificationToken = undefined;
+      user.verificationTokenExpires = undefined;
+      await user.save();
+
+      const { token, refreshToken, expiresIn } = await createSession(user, req);
+      console.log('User verified via debug endpoint:', user.username);
+
+      return res.status(200).json({
+        message: 'Debug verification successful',
+        token,
+        refreshToken,
+        expiresIn,
+        username: user.username
+      });
+    } catch (error) {
+      console.error('Debug verification error:', error);
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  return router;
+};
+
+// Mount the debug router if enabled. Otherwise everything under /debug answers 404,
+// including GETs that would otherwise fall through to the React catch-all.
+export const mountDebugRoutes = (app, { nodeEnv, enabled, adminToken }) => {
+  if (isDebugEnabled({ nodeEnv, enabled })) {
+    if (!adminToken) {
+      console.warn('⚠️ Debug routes enabled but DEBUG_ADMIN_TOKEN is not set - not mounting them');
+    } else {
+      console.warn('⚠️ Debug routes mounted at /debug - never enable this in production');
+      app.use('/debug', createDebugRouter({ adminToken }));
+      return true;
+    }
+  }
+
+  app.use('/debug', (req, res) => res.status(404).json({ message: 'Not found' }));
+  return false;
+};
@@ -0,0 +1,69 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { DirectMessageError, fetchThreadMessages, listThreads, setDmPolicy } from '../services/directMessages.js';
+import { deliverDirectMessage, readDirectThread } from '../sockets/directMessages.js';
+
+// REST side of direct messages; sends are delivered live the same way as sendDirectMessage
+export const createDirectMessagesRouter = ({ state }) => {
+  const router = express.Router();
+
+  const sendError = (res, error, action) => {
+    if (error instanceof DirectMessageError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    console.error(`Error ${action}:`, error);
+    return res.status(500).json({ message: 'Server error' });
+  };
+
+  // Inbox with unread counts: GET /dms?before=<lastMessageAt>&limit=50
+  router.get('/dms', requireAuth, async (req, res) => {
+    try {
+      return res.status(200).json(await listThreads(req.user.username, req.query));
+    } catch (error) {
+      return sendError(res, error, 'listing direct threads');
+    }
+  });
+
+  // Who may start conversations with me: PUT /dms/settings { dmPolicy: 'friends' | 'everyone' }
+  router.put('/dms/settings', requireAuth, async (req, res) => {
+    try {
+      await setDmPolicy(req.user.username, req.body.dmPolicy);
+      return res.status(200).json({ dmPolicy: req.body.dmPolicy });
+    } catch (error) {
+      return sendError(res, error, 'updating DM settings');
+    }
+  });
+
+  // Conversation with a user, newest page first: GET /dms/:username/messages?before=<id>&limit=50
+  router.get('/dms/:username/messages', requireAuth, async (req, res) => {
+    try {
+      return res.status(200).json(await fetchThreadMessages(req.user.username, req.params.username, req.query));
+    } catch (error) {
+      return sendError(res, error, 'loading direct messages');
+    }
+  });
+
+  // Send: POST /dms/:username { message, ...extra }
+  router.post('/dms/:username', requireAuth, async (req, res) => {
+    try {
+      const { message } = await deliverDirectMessage(state, req.user.username, req.params.username, req.body);
+      return res.status(201).json(message.toClient());
+    } catch (error) {
+      return sendError(res, error, 'sending direct message');
+    }
+  });
+
+  router.post('/dms/:username/read', requireAuth, async (req, res) => {
+    try {
+      const thread = await readDirectThread(state.presence, req.user.username, req.params.username);
+      return res.status(200).json(thread.toClient(req.user.username));
+    } catch (error) {
+      return sendError(res, error, 'marking thread read');
+    }
+  });
+
+  return router;
+};
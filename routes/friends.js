@@ -0,0 +1,91 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { FriendError, assertFriends } from '../services/friends.js';
+import { createRoom } from '../services/roomLifecycle.js';
+import { getContacts, performFriendAction } from '../sockets/friends.js';
+import { emitToUser } from '../sockets/helpers.js';
+
+// REST side of friends; every change is pushed to the other user live like the socket events
+export const createFriendsRouter = ({ presence }) => {
+  const router = express.Router();
+
+  const sendError = (res, error, action) => {
+    if (error instanceof FriendError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`Error ${action}:`, error);
+    return res.status(500).json({ message: 'Server error' });
+  };
+
+  // Contacts: friends with online status, plus pending requests
+  router.get('/friends', requireAuth, async (req, res) => {
+    try {
+      return res.status(200).json(await getContacts(presence, req.user.username));
+    } catch (error) {
+      return sendError(res, error, 'loading contacts');
+    }
+  });
+
+  // Send a request: POST /friends/requests { username }
+  router.post('/friends/requests', requireAuth, async (req, res) => {
+    try {
+      const result = await performFriendAction(presence, 'send', req.user.username, req.body.username || '');
+      return res.status(result.accepted ? 200 : 201).json(result);
+    } catch (error) {
+      return sendError(res, error, 'sending friend request');
+    }
+  });
+
+  router.post('/friends/requests/:username/accept', requireAuth, async (req, res) => {
+    try {
+      await performFriendAction(presence, 'accept', req.user.username, req.params.username);
+      return res.status(200).json({ message: 'Friend request accepted' });
+    } catch (error) {
+      return sendError(res, error, 'accepting friend request');
+    }
+  });
+
+  router.post('/friends/requests/:username/decline', requireAuth, async (req, res) => {
+    try {
+      await performFriendAction(presence, 'decline', req.user.username, req.params.username);
+      return res.status(200).json({ message: 'Friend request declined' });
+    } catch (error) {
+      return sendError(res, error, 'declining friend request');
+    }
+  });
+
+  // Cancel a request you sent
+  router.delete('/friends/requests/:username', requireAuth, async (req, res) => {
+    try {
+      await performFriendAction(presence, 'cancel', req.user.username, req.params.username);
+      return res.status(200).json({ message: 'Friend request cancelled' });
+    } catch (error) {
+      return sendError(res, error, 'cancelling friend request');
+    }
+  });
+
+  router.delete('/friends/:username', requireAuth, async (req, res) => {
+    try {
+      await performFriendAction(presence, 'unfriend', req.user.username, req.params.username);
+      return res.status(200).json({ message: 'Friend removed' });
+    } catch (error) {
+      return sendError(res, error, 'removing friend');
+    }
+  });
+
+  // Start an invite-only private room with a friend; they get a roomInvite to join it
+  router.post('/friends/:username/room', requireAuth, async (req, res) => {
+    try {
+      const friend = req.params.username;
+      await assertFriends(req.user.username, [friend]);
+      const room = await createRoom(req.user.username, { inviteOnly: true, invited: [friend] });
+      emitToUser(presence, friend, 'roomInvite', { roomCode: room.code, from: req.user.username });
+      console.log(`${req.user.username} opened room ${room.code} with ${friend}`);
+      return res.status(201).json({ roomCode: room.code });
+    } catch (error) {
+      return sendError(res, error, 'creating room with friend');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,35 @@
+import express from 'express';
+import { describeInterest, listCategories, searchInterests } from '../services/interestCatalog.js';
+
+const MAX_LIMIT = 50;
+
+const parseLimit = (value, fallback) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), MAX_LIMIT);
+
+// Interest catalog and what people are talking about right now.
+// `interestMatcher` is the live interest-room state from sockets/state.js.
+export const createInterestsRouter = ({ interestMatcher }) => {
+  const router = express.Router();
+
+  // GET /interests            -> { categories: [{ id, label, interests }] }
+  // GET /interests?q=mus      -> { interests: [{ tag, label, category }] } for autocomplete
+  router.get('/interests', (req, res) => {
+    const { q, limit } = req.query;
+    if (typeof q === 'string') {
+      return res.status(200).json({ interests: searchInterests(q, { limit: parseLimit(limit, 10) }) });
+    }
+    return res.status(200).json({ categories: listCategories() });
+  });
+
+  // GET /interests/trending?limit=10 -> { interests: [{ tag, label, category, count, rooms }] }
+  // ranked by how many people in interest rooms share each interest right now
+  router.get('/interests/trending', (req, res) => {
+    const limit = parseLimit(req.query.limit, 10);
+    const trending = [...interestMatcher.interestCounts()]
+      .sort(([tagA, a], [tagB, b]) => b.count - a.count || b.rooms - a.rooms || tagA.localeCompare(tagB))
+      .slice(0, limit)
+      .map(([tag, { count, rooms }]) => ({ ...describeInterest(tag), count, rooms }));
+    return res.status(200).json({ interests: trending });
+  });
+
+  return router;
+};
@@ -0,0 +1,413 @@
+import express from 'express';
+import cors from 'cors';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import config from '../config/index.js';
+import { requireAuth } from '../middleware/auth.js';
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+// File uploads and audio serving
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+const uploadDestination = (req, file, cb) => {
+  const uploadDir = UPLOAD_DIR;
+  if (!fs.existsSync(uploadDir)){
+    fs.mkdirSync(uploadDir, { recursive: true });
+  }
+  cb(null, uploadDir);
+};
+
+// File upload configuration
+const storage = multer.diskStorage({
+  destination: uploadDestination,
+  filename: (req, file, cb) => {
+    // Generate unique filename with original extension
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    let fileExt = path.extname(file.originalname) || '';
+
+    // For audio files, ensure we have a proper extension
+    if (file.mimetype.startsWith('audio/')) {
+      if (!fileExt) {
+        // Map MIME types to extensions
+        const mimeToExt = {
+          'audio/webm': '.webm',
+          'audio/mpeg': '.mp3',
+          'audio/mp3': '.mp3',
+          'audio/wav': '.wav',
+          'audio/ogg': '.ogg',
+          'audio/mp4': '.m4a',
+          'audio/aac': '.aac',
+          'audio/flac': '.flac'
+        };
+        fileExt = mimeToExt[file.mimetype] || '.webm';
+      }
+      console.log(`Audio file upload: ${file.originalname} -> ${fileExt} (${file.mimetype})`);
+    }
+
+    cb(null, 'file-' + uniqueSuffix + fileExt);
+  }
+});
+
+// Set up file filter for uploads
+const ALLOWED_TYPES = [
+  // Images
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml',
+  // Videos
+  'video/mp4', 'video/webm', 'video/quicktime', 'video/x-ms-wmv', 'video/x-msvideo',
+  // Audio
+  'audio/mpeg', 'audio/mp3', 'audio/mp4', 'audio/ogg', 'audio/wav', 'audio/webm',
+  // Documents
+  'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain', 'application/json'
+];
+// Avatars are shown to strangers, so no SVG (it can carry scripts). The extension comes from
+// the MIME type so a renamed file can't be served as something else.
+const AVATAR_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+const AVATAR_TYPES = Object.keys(AVATAR_EXTENSIONS);
+
+const fileFilterFor = (allowedTypes) => (req, file, cb) => {
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    console.log(`Rejected file with mimetype: ${file.mimetype}`);
+    cb(null, false);
+  }
+};
+
+// Update multer config to reduce max file size
+const upload = multer({ 
+  storage,
+  fileFilter: fileFilterFor(ALLOWED_TYPES),
+  limits: { fileSize: config.uploads.maxFileSizeBytes }
+});
+
+// Profile pictures (routes/users.js), same storage with a tighter filter and size limit
+export const avatarUpload = multer({
+  storage: multer.diskStorage({
+    destination: uploadDestination,
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, 'avatar-' + uniqueSuffix + AVATAR_EXTENSIONS[file.mimetype]);
+    }
+  }),
+  fileFilter: fileFilterFor(AVATAR_TYPES),
+  limits: { fileSize: config.uploads.maxAvatarSizeBytes }
+});
+
+export const createMediaRouter = () => {
+  const router = express.Router();
+
+  // Serve static files from the 'uploads' directory
+  router.use('/uploads', express.static(UPLOAD_DIR));
+
+  // Add OPTIONS handler for /upload endpoint
+  router.options('/upload', cors({
+    origin: (origin, callback) => {
+      callback(null, origin);
+    },
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin']
+  }));
+
+  // Update the upload endpoint with explicit CORS
+  router.post('/upload', cors({
+    origin: (origin, callback) => {
+      callback(null, origin);
+    },
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin']
+  }), requireAuth, upload.single('file'), async (req, res) => {
+    try {
+      if (!req.file) {
+        console.error('No file received in upload request');
+        return res.status(400).json({ message: 'No file uploaded' });
+      }
+
+      const filePath = req.file.path;
+      const ext = path.extname(req.file.filename).toLowerCase();
+      // Only convert audio files (webm, ogg, wav, m4a)
+      const audioExts = ['.webm', '.ogg', '.wav', '.m4a'];
+      if (audioExts.includes(ext)) {
+        // Convert to MP3
+        const mp3Filename = req.file.filename.replace(ext, '.mp3');
+        const mp3Path = path.join(path.dirname(filePath), mp3Filename);
+        await new Promise((resolve, reject) => {
+          ffmpeg(filePath)
+            .toFormat('mp3')
+            .on('end', resolve)
+            .on('error', reject)
+            .save(mp3Path);
+        });
+        // Optionally, delete the original file if you want
+        // fs.unlinkSync(filePath);
+        // Respond with the MP3 file URL
+        const fileUrl = `/uploads/${mp3Filename}`;
+        return res.json({
+          url: fileUrl,
+          filename: mp3Filename,
+          mimetype: 'audio/mp3'
+        });
+      }
+      // For non-audio files, just return as before
+      const fileUrl = `/uploads/${req.file.filename}`;
+      res.json({
+        url: fileUrl,
+        filename: req.file.filename,
+        mimetype: req.file.mimetype
+      });
+    } catch (error) {
+      console.error('Upload error:', error);
+      res.status(500).json({ message: 'Upload failed', error: error.message });
+    }
+  });
+
+  // Update the static file serving middleware
+  router.use('/uploads', express.static(UPLOAD_DIR, {
+    setHeaders: (res, filePath) => {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'GET, OPTIONS');
+      res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Origin, Range');
+      res.set('Accept-Ranges', 'bytes');
+
+      // Set correct MIME type for images
+      const imageExtensions = {
+        '.png': 'image/png',
+        '.jpg': 'image/jpeg',
+        '.jpeg': 'image/jpeg',
+        '.gif': 'image/gif',
+        '.webp': 'image/webp',
+        '.svg': 'image/svg+xml'
+      };
+      const ext = filePath.toLowerCase().substring(filePath.lastIndexOf('.'));
+      if (imageExtensions[ext]) {
+        res.set('Content-Type', imageExtensions[ext]);
+        res.set('Cache-Control', 'public, max-age=31536000');
+      }
+
+      // Enhanced audio file handling with better MIME type detection
+      const audioExtensions = {
+        '.webm': 'audio/webm',
+        '.mp3': 'audio/mpeg',
+        '.wav': 'audio/wav',
+        '.ogg': 'audio/ogg',
+        '.m4a': 'audio/mp4',
+        '.aac': 'audio/aac',
+        '.flac': 'audio/flac'
+      };
+      if (audioExtensions[ext]) {
+        res.set('Content-Type', audioExtensions[ext]);
+        res.set('Cache-Control', 'public, max-age=31536000');
+        console.log(`Audio file requested: ${filePath} with MIME type: ${audioExtensions[ext]}`);
+      }
+
+      // Handle files without extensions (check file content)
+      if (!ext || ext === path) {
+        // Try to detect audio files by reading first few bytes
+        const fs = require('fs');
+        const filePath = path.join(UPLOAD_DIR, path.substring(path.lastIndexOf('/') + 1));
+
+        try {
+          if (fs.existsSync(filePath)) {
+            const buffer = fs.readFileSync(filePath, { start: 0, end: 12 });
+
+            // Check for WebM signature
+            if (buffer.toString('hex').startsWith('1a45dfa3')) {
+              res.set('Content-Type', 'audio/webm');
+              console.log(`Detected WebM audio file: ${path}`);
+            }
+            // Check for MP3 signature
+            else if (buffer.toString('hex').startsWith('494433') || buffer.toString('hex').startsWith('fffb')) {
+              res.set('Content-Type', 'audio/mpeg');
+              console.log(`Detected MP3 audio file: ${path}`);
+            }
+            // Check for WAV signature
+            else if (buffer.toString('hex').startsWith('52494646')) {
+              res.set('Content-Type', 'audio/wav');
+              console.log(`Detected WAV audio file: ${path}`);
+            }
+            // Default to audio/webm for unknown audio files
+            else {
+              res.set('Content-Type', 'audio/webm');
+              console.log(`Defaulting to audio/webm for: ${path}`);
+            }
+
+            res.set('Cache-Control', 'public, max-age=31536000');
+          }
+        } catch (error) {
+          console.log(`Error reading file for MIME detection: ${error.message}`);
+        }
+      }
+    }
+  }));
+
+  // Add a test endpoint for audio files
+  router.get('/test-audio/:filename', (req, res) => {
+    const filename = req.params.filename;
+    const filePath = path.join(UPLOAD_DIR, filename);
+
+    console.log(`Testing audio file: ${filename}`);
+    console.log(`Full path: ${filePath}`);
+
+    if (fs.existsSync(filePath)) {
+      const stats = fs.statSync(filePath);
+      console.log(`File exists, size: ${stats.size} bytes`);
+
+      // Set proper headers
+      res.set('Content-Type', 'audio/webm');
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Accept-Ranges', 'bytes');
+
+      // Send the file
+      res.sendFile(filePath);
+    } else {
+      console.log(`File not found: ${filePath}`);
+      res.status(404).json({ error: 'Audio file not found' });
+    }
+  });
+
+  // Add an endpoint to get audio in different formats for iOS compatibility
+  router.get('/audio/:filename', (req, res) => {
+    const filename = req.params.filename;
+    const filePath = path.join(UPLOAD_DIR, filename);
+    const userAgent = req.headers['user-agent'] || '';
+    const isIOS = /iPad|iPhone|iPod/.test(userAgent);
+    const isSafari = /Safari/.test(userAgent) && !/Chrome/.test(userAgent);
+
+    console.log(`Audio request for: ${filename}, iOS: ${isIOS}, Safari: ${isSafari}`);
+
+    if (fs.existsSync(filePath)) {
+      const stats = fs.statSync(filePath);
+      console.log(`File exists, size: ${stats.size} bytes`);
+
+      // For iOS/Safari devices, serve with more compatible headers
+      if (isIOS || isSafari) {
+        if (filename.endsWith('.webm')) {
+          // Try to serve WebM as MP4 for iOS compatibility
+          res.set('Content-Type', 'audio/mp4');
+          console.log('Serving WebM as MP4 for iOS/Safari compatibility');
+        } else {
+          // Set content type based on file extension
+          const ext = path.extname(filename).toLowerCase();
+          const mimeTypes = {
+            '.webm': 'audio/webm',
+            '.mp3': 'audio/mpeg',
+            '.wav': 'audio/wav',
+            '.ogg': 'audio/ogg',
+            '.m4a': 'audio/mp4',
+            '.mp4': 'audio/mp4'
+          };
+          res.set('Content-Type', mimeTypes[ext] || 'audio/mp4');
+        }
+
+        // Add additional headers for iOS compatibility
+        res.set('Access-Control-Allow-Origin', '*');
+        res.set('Accept-Ranges', 'bytes');
+        res.set('Cache-Control', 'public, max-age=31536000');
+        res.set('X-Content-Type-Options', 'nosniff');
+
+        // For iOS, try to force the browser to treat it as audio
+        if (isIOS) {
+          res.set('Content-Disposition', 'inline');
+        }
+      } else {
+        // Standard headers for other browsers
+        const ext = path.extname(filename).toLowerCase();
+        const mimeTypes = {
+          '.webm': 'audio/webm',
+          '.mp3': 'audio/mpeg',
+          '.wav': 'audio/wav',
+          '.ogg': 'audio/ogg',
+          '.m4a': 'audio/mp4',
+          '.mp4': 'audio/mp4'
+        };
+        res.set('Content-Type', mimeTypes[ext] || 'audio/webm');
+        res.set('Access-Control-Allow-Origin', '*');
+        res.set('Accept-Ranges', 'bytes');
+        res.set('Cache-Control', 'public, max-age=31536000');
+      }
+
+      // Send the file
+      res.sendFile(filePath);
+    } else {
+      console.log(`File not found: ${filePath}`);
+      res.status(404).json({ error: 'Audio file not found' });
+    }
+  });
+
+  // Add an endpoint to validate audio files
+  router.get('/validate-audio/:filename', (req, res) => {
+    const filename = req.params.filename;
+    const filePath = path.join(UPLOAD_DIR, filename);
+
+    console.log(`Validating audio file: ${filename}`);
+
+    if (fs.existsSync(filePath)) {
+      const stats = fs.statSync(filePath);
+      console.log(`File exists, size: ${stats.size} bytes`);
+
+      // Read first few bytes to check file signature
+      try {
+        const buffer = fs.readFileSync(filePath, { start: 0, end: 12 });
+        const hex = buffer.toString('hex');
+
+        let format = 'unknown';
+        if (hex.startsWith('1a45dfa3')) {
+          format = 'webm';
+        } else if (hex.startsWith('494433') || hex.startsWith('fffb')) {
+          format = 'mp3';
+        } else if (hex.startsWith('52494646')) {
+          format = 'wav';
+        } else if (hex.startsWith('66747970')) {
+          format = 'mp4';
+        }
+
+        res.json({
+          valid: true,
+          size: stats.size,
+          format: format,
+          path: filePath
+        });
+      } catch (error) {
+        console.error('Error reading file:', error);
+        res.status(500).json({ error: 'Error reading file' });
+      }
+    } else {
+      console.log(`File not found: ${filePath}`);
+      res.status(404).json({ error: 'Audio file not found' });
+    }
+  });
+
+  // --- CORS middleware for audio files (MOBILE/iOS SAFE) ---
+  router.use(['/uploads', '/audio'], (req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'GET, OPTIONS, HEAD');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Origin, Range');
+    res.set('Accept-Ranges', 'bytes');
+    next();
+  });
+
+  // Explicit OPTIONS handler for /uploads/* and /audio/* (for mobile/iOS CORS)
+  router.options(['/uploads/*', '/audio/*'], (req, res) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'GET, OPTIONS, HEAD');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Origin, Range');
+    res.set('Accept-Ranges', 'bytes');
+    res.sendStatus(200);
+  });
+
+  return router;
+};
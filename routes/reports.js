@@ -0,0 +1,31 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { createReport, reportLocation, ReportError } from '../services/reports.js';
+
+export const createReportsRouter = ({ interestMatcher, interestHistory }) => {
+  const router = express.Router();
+
+  // Report a user: POST /reports { reported, roomCode | roomName | threadId, reason, details }
+  router.post('/reports', requireAuth, async (req, res) => {
+    try {
+      const { reported, reason, details } = req.body;
+      const report = await createReport({
+        reporter: req.user.username,
+        reported,
+        ...reportLocation(req.body),
+        reason,
+        details
+      }, { interestMatcher, interestHistory });
+
+      return res.status(201).json({ message: 'Report submitted', id: report._id.toString() });
+    } catch (error) {
+      if (error instanceof ReportError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error creating report:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,32 @@
+import express from 'express';
+import Room from '../models/Room.js';
+import Message from '../models/Message.js';
+import { requireAuth } from '../middleware/auth.js';
+
+export const createRoomsRouter = () => {
+  const router = express.Router();
+
+  // Paginated private room history, newest page first: GET /rooms/:code/messages?before=<id>&limit=50
+  router.get('/rooms/:code/messages', requireAuth, async (req, res) => {
+    try {
+      const room = await Room.findOne({ code: req.params.code });
+      if (!room) {
+        return res.status(404).json({ message: 'Room not found' });
+      }
+      if (!room.members.includes(req.user.username)) {
+        return res.status(403).json({ message: 'You are not a member of this room' });
+      }
+
+      const page = await Message.fetchPage(room.code, req.query);
+      return res.status(200).json(page);
+    } catch (error) {
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      console.error('Error loading room messages:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,99 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import multer from 'multer';
+import { requireAuth } from '../middleware/auth.js';
+import { avatarUpload, UPLOAD_DIR } from './media.js';
+import {
+  ProfileError,
+  findProfileUser,
+  setAvatar,
+  toOwnProfile,
+  toPublicProfile,
+  updateProfile
+} from '../services/profiles.js';
+
+// Remove a replaced avatar from disk; best effort, the profile no longer points at it
+const removeAvatarFile = (avatarUrl) => {
+  if (!avatarUrl || !avatarUrl.startsWith('/uploads/')) return;
+  fs.unlink(path.join(UPLOAD_DIR, path.basename(avatarUrl)), (error) => {
+    if (error && error.code !== 'ENOENT') console.error('Error removing old avatar:', error.message);
+  });
+};
+
+export const createUsersRouter = () => {
+  const router = express.Router();
+
+  const sendError = (res, error, action) => {
+    if (error instanceof ProfileError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`Error ${action}:`, error);
+    return res.status(500).json({ message: 'Server error' });
+  };
+
+  router.get('/users/me', requireAuth, async (req, res) => {
+    try {
+      const user = await findProfileUser(req.user.username);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      return res.status(200).json({ profile: toOwnProfile(user) });
+    } catch (error) {
+      return sendError(res, error, 'loading profile');
+    }
+  });
+
+  // Partial update: { displayName, bio, pronouns, interests, locale, privacy: { avatar, bio, ... } }
+  router.patch('/users/me', requireAuth, async (req, res) => {
+    try {
+      const profile = await updateProfile(req.user.username, req.body || {});
+      return res.status(200).json({ profile });
+    } catch (error) {
+      return sendError(res, error, 'updating profile');
+    }
+  });
+
+  // Multipart upload with the image in the "avatar" field
+  router.put('/users/me/avatar', requireAuth, (req, res, next) => {
+    avatarUpload.single('avatar')(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE' ? 'Avatar is too large' : error.message;
+        return res.status(400).json({ message });
+      }
+      next(error);
+    });
+  }, async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Avatar must be a JPEG, PNG, GIF or WebP image' });
+    }
+    try {
+      const avatarUrl = `/uploads/${req.file.filename}`;
+      removeAvatarFile(await setAvatar(req.user.username, avatarUrl));
+      return res.status(200).json({ avatarUrl });
+    } catch (error) {
+      removeAvatarFile(`/uploads/${req.file.filename}`);
+      return sendError(res, error, 'updating avatar');
+    }
+  });
+
+  router.delete('/users/me/avatar', requireAuth, async (req, res) => {
+    try {
+      removeAvatarFile(await setAvatar(req.user.username, null));
+      return res.status(200).json({ message: 'Avatar removed' });
+    } catch (error) {
+      return sendError(res, error, 'removing avatar');
+    }
+  });
+
+  // Someone else's profile, trimmed to what their privacy settings show the caller
+  router.get('/users/:username', requireAuth, async (req, res) => {
+    try {
+      const user = await findProfileUser(req.params.username);
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      return res.status(200).json({ profile: toPublicProfile(user, req.user.username) });
+    } catch (error) {
+      return sendError(res, error, 'loading profile');
+    }
+  });
+
+  return router;
+};
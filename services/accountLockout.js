@@ -0,0 +1,44 @@
+import { retryAfterSeconds } from '../middleware/rateLimit.js';
+import config from '../config/index.js';
+
+// Per-account lockout after repeated failed password or OTP attempts.
+// Every lock doubles in length (up to a day) until the user signs in successfully.
+
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+export const isLocked = (user) => Boolean(user.lockUntil && user.lockUntil > Date.now());
+
+// Count a failed attempt; returns true if this attempt locked the account
+export const recordFailedAttempt = async (user) => {
+  const { maxAttempts, baseLockMs } = config.lockout;
+  user.failedAuthAttempts = (user.failedAuthAttempts || 0) + 1;
+
+  let locked = false;
+  if (user.failedAuthAttempts >= maxAttempts) {
+    user.lockCount = (user.lockCount || 0) + 1;
+    user.lockUntil = new Date(Date.now() + Math.min(baseLockMs * 2 ** (user.lockCount - 1), MAX_LOCK_MS));
+    user.failedAuthAttempts = 0;
+    locked = true;
+    console.log(`Account ${user.email} locked until ${user.lockUntil.toISOString()}`);
+  }
+
+  await user.save();
+  return locked;
+};
+
+export const clearFailedAttempts = async (user) => {
+  if (!user.failedAuthAttempts && !user.lockUntil && !user.lockCount) return;
+  user.failedAuthAttempts = 0;
+  user.lockCount = 0;
+  user.lockUntil = undefined;
+  await user.save();
+};
+
+export const sendLocked = (res, user) => {
+  const retryAfter = retryAfterSeconds(user.lockUntil.getTime());
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: 'Too many failed attempts. This account is temporarily locked.',
+    retryAfter
+  });
+};
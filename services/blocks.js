@@ -0,0 +1,50 @@
+import User from '../models/User.js';
+import { severFriendship } from './friends.js';
+
+// Per-user block lists. A block works both ways: neither user is matched with the other in
+// roulette or interest rooms, and they can't message each other directly. Blocking also
+// ends any friendship between them.
+
+const MAX_BLOCKED_USERS = 1000;
+
+export class BlockError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BlockError';
+    this.status = status;
+  }
+}
+
+export const blockUser = async (username, target) => {
+  if (typeof target !== 'string' || !target.trim()) throw new BlockError('Username is required');
+  target = target.trim();
+  if (target === username) throw new BlockError('You cannot block yourself');
+  if (!await User.exists({ username: target })) throw new BlockError('User not found', 404);
+
+  const result = await User.updateOne(
+    { username, [`blockedUsers.${MAX_BLOCKED_USERS - 1}`]: { $exists: false } },
+    { $addToSet: { blockedUsers: target } }
+  );
+  if (!result.matchedCount) throw new BlockError(`You can block at most ${MAX_BLOCKED_USERS} users`);
+  await severFriendship(username, target);
+};
+
+export const unblockUser = (username, target) => User.updateOne({ username }, { $pull: { blockedUsers: target } });
+
+export const listBlockedUsers = async (username) => {
+  const user = await User.findOne({ username }, 'blockedUsers');
+  return user ? user.blockedUsers : [];
+};
+
+// Everyone `username` must be kept apart from: people they blocked and people who blocked them
+export const blockedRelations = async (username) => {
+  const [user, blockers] = await Promise.all([
+    User.findOne({ username }, 'blockedUsers'),
+    User.find({ blockedUsers: username }, 'username')
+  ]);
+  return new Set([...(user ? user.blockedUsers : []), ...blockers.map(blocker => blocker.username)]);
+};
+
+export const isBlockedBetween = async (a, b) => Boolean(await User.exists({
+  $or: [{ username: a, blockedUsers: b }, { username: b, blockedUsers: a }]
+}));
@@ -0,0 +1,240 @@
+import config, { MODERATION_ACTIONS, MODERATION_CATEGORIES } from '../config/index.js';
+import { generateText } from './gemini.js';
+
+// Moderation pipeline for chat text, run before a message is stored or broadcast.
+//
+// A filter is `async (text) => findings`, each finding being { category, start?, end?, label? }
+// with start/end marking the offending part of the text (none means the whole message).
+// Filters run in order; the room's policy then decides per category whether to allow, mask
+// (replace with *), flag (deliver and queue for admin review) or block the message.
+// The AI classifier runs last and is skipped once a cheaper filter already blocked.
+
+export const DEFAULT_PROFANITY = [
+  'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'cock', 'cunt', 'dick', 'dickhead',
+  'fag', 'faggot', 'fuck', 'motherfucker', 'nigga', 'nigger', 'prick', 'pussy', 'retard',
+  'shit', 'slut', 'twat', 'wanker', 'whore'
+];
+
+// Leetspeak folded back to letters, one character for one so offsets still line up
+const LEET = { '@': 'a', '4': 'a', '0': 'o', '1': 'i', '!': 'i', '3': 'e', '$': 's', '5': 's', '7': 't' };
+
+const CATEGORY_DESCRIPTIONS = {
+  profanity: 'profanity',
+  link: 'a link',
+  phone: 'a phone number',
+  email: 'an email address',
+  abuse: 'abusive content'
+};
+
+const ACTION_RANK = { allow: 0, mask: 1, flag: 2, block: 3 };
+const AI_LABELS = ['harassment', 'hate', 'sexual', 'violence', 'self-harm'];
+
+export class ContentPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContentPolicyError';
+  }
+}
+
+const foldText = (text) => text.split('').map((char) => {
+  const lower = char.toLowerCase();
+  return LEET[lower] || (lower.length === 1 ? lower : char);
+}).join('');
+
+const findAll = (regex, text, category) => [...text.matchAll(regex)].map(match => ({
+  category,
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const SUFFIXES = ['', 's', 'es', 'ed', 'er', 'ers', 'ing', 'y'];
+const WORD_BEFORE = /(?<=[\p{L}\p{N}])/uy;
+const WORD_AFTER = /(?=[\p{L}\p{N}])/uy;
+
+const testAt = (regex, text, index) => {
+  regex.lastIndex = index;
+  return regex.test(text);
+};
+
+// Whole words from `words`, case-insensitive, with leetspeak and common suffixes (fucking, shits).
+// Words are matched on the folded text but their edges are checked on the original, so the
+// '!' in "shit!" ends the word instead of folding into it.
+export const createWordListFilter = (words) => {
+  const unique = [...new Set(words.map(word => word.trim().toLowerCase()).filter(Boolean))];
+  if (!unique.length) return async () => [];
+  const longestMatch = (text, folded, start) => {
+    let end = -1;
+    for (const word of unique) {
+      if (!folded.startsWith(word, start)) continue;
+      for (const suffix of SUFFIXES) {
+        const candidate = start + word.length + suffix.length;
+        if (candidate > end && folded.startsWith(suffix, start + word.length) && !testAt(WORD_AFTER, text, candidate)) {
+          end = candidate;
+        }
+      }
+    }
+    return end;
+  };
+  return async (text) => {
+    const folded = foldText(text);
+    const findings = [];
+    let start = 0;
+    while (start < folded.length) {
+      const end = testAt(WORD_BEFORE, text, start) ? -1 : longestMatch(text, folded, start);
+      if (end > start) {
+        findings.push({ category: 'profanity', start, end });
+        start = end;
+      } else {
+        start += 1;
+      }
+    }
+    return findings;
+  };
+};
+
+const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu;
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>]+|\b(?:[a-z0-9-]+\.)+(?:com|net|org|io|co|me|app|dev|gg|ly|xyz|info|biz|tv|ru|uk|de|in)\b(?:\/[^\s<>]*)?/gi;
+// A phone number is either one long run of digits or groups split by spaces, dots, dashes or
+// brackets; the digit count is checked separately. Version numbers and scores don't qualify.
+const PHONE_PATTERN = /(?<![\p{L}\p{N}.+-])(?:\+?\d{10,15}|\+?\(?\d{1,5}\)?(?:[\s.-]{1,2}\(?\d{2,6}\)?){1,5})(?![\p{L}\p{N}]|[.-]\d)/gu;
+const PHONE_DIGITS = { min: 7, max: 15 };
+// Dates look like phone numbers to the pattern above
+const DATE_PATTERN = /^(?:\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})$/;
+
+const isPhoneNumber = (candidate) => {
+  const digits = candidate.replace(/\D/g, '').length;
+  return digits >= PHONE_DIGITS.min && digits <= PHONE_DIGITS.max && !DATE_PATTERN.test(candidate);
+};
+
+// Links, phone numbers and email addresses; links and numbers inside an address count once
+export const contactInfoFilter = async (text) => {
+  const emails = findAll(EMAIL_PATTERN, text, 'email');
+  const links = findAll(LINK_PATTERN, text, 'link')
+    .map(link => ({ ...link, end: link.start + text.slice(link.start, link.end).replace(/[.,!?;:)]+$/, '').length }))
+    .filter(link => !emails.some(email => overlaps(link, email)));
+  const phones = findAll(PHONE_PATTERN, text, 'phone')
+    .filter(phone => isPhoneNumber(text.slice(phone.start, phone.end)))
+    .filter(phone => ![...emails, ...links].some(other => overlaps(phone, other)));
+  return [...emails, ...links, ...phones];
+};
+
+const classifierPrompt = (text) => `You are a content moderator for a public chat app. Classify the chat message below.
+Answer with JSON only, in the form {"abusive": true|false, "label": "${AI_LABELS.join('" | "')}" | "none"}.
+Only mark it abusive if it is clearly harassment, hate speech, sexual content, threats of violence or encourages self-harm.
+
+Message: ${JSON.stringify(text)}`;
+
+// Gemini-backed classifier. Fails open: a slow or broken classifier never holds up chat.
+export const createAiClassifier = ({ classify = generateText, timeoutMs = config.moderation.aiTimeoutMs } = {}) => async (text) => {
+  let timer;
+  try {
+    const answer = await Promise.race([
+      classify(classifierPrompt(text)),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+      })
+    ]);
+    const json = answer && answer.match(/\{[\s\S]*\}/);
+    const verdict = json ? JSON.parse(json[0]) : null;
+    if (!verdict || verdict.abusive !== true) return [];
+    return [{ category: 'abuse', label: AI_LABELS.includes(verdict.label) ? verdict.label : undefined }];
+  } catch (error) {
+    console.error('AI moderation classifier failed:', error.message);
+    return [];
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Room overrides on top of the configured default policy
+export const resolvePolicy = (overrides) => Object.fromEntries(MODERATION_CATEGORIES.map(category => [
+  category,
+  (overrides && overrides[category]) || config.moderation.defaultPolicy[category]
+]));
+
+// Validate a { category: action } update from a room owner
+export const cleanPolicy = (policy) => {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new ContentPolicyError('contentPolicy must be an object');
+  }
+  const cleaned = {};
+  for (const [category, action] of Object.entries(policy)) {
+    if (!MODERATION_CATEGORIES.includes(category)) {
+      throw new ContentPolicyError(`Unknown content category "${category}"`);
+    }
+    if (!MODERATION_ACTIONS.includes(action)) {
+      throw new ContentPolicyError(`Action for ${category} must be one of ${MODERATION_ACTIONS.join(', ')}`);
+    }
+    cleaned[category] = action;
+  }
+  return cleaned;
+};
+
+// Error text for the sender of a blocked message
+export const blockedMessageText = (categories) => (
+  `Message blocked: it contains ${categories.map(category => CATEGORY_DESCRIPTIONS[category]).join(' and ')}`
+);
+
+const maskText = (text, findings) => {
+  if (findings.some(finding => finding.start === undefined)) return text.replace(/\S/g, '*');
+  const chars = text.split('');
+  findings.forEach(({ start, end }) => {
+    for (let i = start; i < end; i += 1) {
+      if (!/\s/.test(chars[i])) chars[i] = '*';
+    }
+  });
+  return chars.join('');
+};
+
+export class ContentModerator {
+  constructor({ filters, classifier } = {}) {
+    this.filters = filters || [createWordListFilter([...DEFAULT_PROFANITY, ...config.moderation.blockedWords]), contactInfoFilter];
+    this.classifier = classifier === undefined
+      ? (config.moderation.aiClassifier ? createAiClassifier() : null)
+      : classifier;
+  }
+
+  // Run `text` through the pipeline under `policy` (room overrides, see resolvePolicy).
+  // Returns { action: 'allow' | 'block', message, flagged, categories, findings } where
+  // `message` is the text to deliver, masked where the policy says so.
+  async check(text, policy) {
+    const actions = resolvePolicy(policy);
+    if (typeof text !== 'string' || !text.trim()) {
+      return { action: 'allow', message: text, flagged: false, categories: [], findings: [] };
+    }
+
+    const findings = [];
+    for (const filter of this.filters) {
+      findings.push(...await filter(text));
+    }
+    const worst = () => Math.max(0, ...findings.map(finding => ACTION_RANK[actions[finding.category]]));
+    if (this.classifier && worst() < ACTION_RANK.block) {
+      findings.push(...await this.classifier(text));
+    }
+
+    const relevant = findings.filter(finding => actions[finding.category] !== 'allow');
+    const categories = [...new Set(relevant.map(finding => finding.category))];
+    const result = {
+      categories,
+      findings: relevant.map(({ category, label, start, end }) => ({
+        category,
+        label,
+        match: start === undefined ? undefined : text.slice(start, end)
+      }))
+    };
+
+    if (worst() === ACTION_RANK.block) {
+      // Only what caused the block is reported back to the sender
+      const blocked = categories.filter(category => actions[category] === 'block');
+      return { ...result, categories: blocked, action: 'block', message: null, flagged: false };
+    }
+    return {
+      ...result,
+      action: 'allow',
+      message: maskText(text, relevant.filter(finding => actions[finding.category] === 'mask')),
+      flagged: relevant.some(finding => actions[finding.category] === 'flag')
+    };
+  }
+}
@@ -0,0 +1,186 @@
+import User from '../models/User.js';
+import DirectThread, { threadKey } from '../models/DirectThread.js';
+import DirectMessage from '../models/DirectMessage.js';
+import { blockedMessageText } from './contentModeration.js';
+import { flagMessage } from './reports.js';
+import { ReceiptError, cleanMessageIds } from './receipts.js';
+
+// Direct messages between two users, outside any room.
+// A user can message someone who is a mutual friend, who accepts messages from everyone
+// (dmPolicy), or who already wrote to them. Blocks always win.
+
+const DEFAULT_THREAD_LIMIT = 50;
+const MAX_THREAD_LIMIT = 100;
+const DM_POLICIES = ['friends', 'everyone'];
+
+export class DirectMessageError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'DirectMessageError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export const areMutualFriends = (a, b) => Boolean(
+  a && b && a.friends.includes(b.username) && b.friends.includes(a.username)
+);
+
+export const findThread = (a, b) => DirectThread.findOne({ key: threadKey(a, b) });
+
+// Throws a DirectMessageError unless `from` may send to `to` (in `thread`, if they have one)
+const assertCanMessage = async (from, to, thread) => {
+  if (to === from) throw new DirectMessageError('You cannot message yourself');
+  const [sender, recipient] = await Promise.all([
+    User.findOne({ username: from }, 'username friends blockedUsers'),
+    User.findOne({ username: to }, 'username friends blockedUsers dmPolicy')
+  ]);
+  if (!sender || !recipient) throw new DirectMessageError('User not found', 404);
+  if (sender.blockedUsers.includes(to) || recipient.blockedUsers.includes(from)) {
+    throw new DirectMessageError('You cannot message this user', 403);
+  }
+  if (areMutualFriends(sender, recipient) || recipient.dmPolicy === 'everyone') return;
+  if (thread && thread.participant(to)?.hasPosted) return;
+  throw new DirectMessageError('This user only accepts messages from friends', 403);
+};
+
+const openThread = async (a, b) => {
+  const key = threadKey(a, b);
+  try {
+    return await DirectThread.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { key, participants: [{ username: a }, { username: b }] } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Both sides opened the thread at the same moment; the other upsert won
+    if (error.code === 11000) return DirectThread.findOne({ key });
+    throw error;
+  }
+};
+
+// Store a message from `from` to `to`. Returns { thread, message } with the thread after the
+// update. The text goes through content moderation with the default policy.
+export const sendDirectMessage = async (from, to, data, state) => {
+  if (typeof to !== 'string' || !to.trim()) throw new DirectMessageError('Recipient is required');
+  to = to.trim();
+  const hasText = typeof data.message === 'string' && data.message.trim();
+  if (!hasText && !data.fileUrl) throw new DirectMessageError('Message is empty');
+
+  const existing = await findThread(from, to);
+  await assertCanMessage(from, to, existing);
+
+  const verdict = await state.contentModerator.check(data.message);
+  if (verdict.action === 'block') {
+    throw new DirectMessageError(blockedMessageText(verdict.categories), 422, { blocked: true, categories: verdict.categories });
+  }
+
+  const thread = existing || await openThread(from, to);
+  const message = await DirectMessage.fromClient(thread, from, to, { ...data, message: verdict.message }).save();
+  const updated = await DirectThread.findByIdAndUpdate(thread._id, {
+    $set: {
+      lastMessage: { id: message._id.toString(), username: from, message: message.message, createdAt: message.createdAt },
+      lastMessageAt: message.createdAt,
+      'participants.$[sender].hasPosted': true
+    },
+    $inc: { 'participants.$[recipient].unread': 1 }
+  }, {
+    arrayFilters: [{ 'sender.username': from }, { 'recipient.username': to }],
+    new: true
+  });
+
+  if (verdict.flagged) {
+    flagMessage({
+      roomType: 'direct',
+      room: thread._id.toString(),
+      username: from,
+      messageId: message._id.toString(),
+      message: data.message,
+      categories: verdict.categories,
+      findings: verdict.findings
+    }, state).catch(error => console.error('Error flagging direct message:', error));
+  }
+
+  return { thread: updated, message };
+};
+
+// The user's threads, most recent first, plus their total unread count.
+// Page with `before`, the lastMessageAt of the oldest thread already shown.
+export const listThreads = async (username, { before, limit } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_THREAD_LIMIT, 1), MAX_THREAD_LIMIT);
+  const query = { 'participants.username': username };
+  if (before) {
+    const date = new Date(before);
+    if (Number.isNaN(date.getTime())) throw new DirectMessageError('Invalid cursor');
+    query.lastMessageAt = { $lt: date };
+  }
+
+  const [threads, totals] = await Promise.all([
+    DirectThread.find(query).sort({ lastMessageAt: -1 }).limit(pageSize + 1),
+    DirectThread.aggregate([
+      { $match: { 'participants.username': username } },
+      { $unwind: '$participants' },
+      { $match: { 'participants.username': username } },
+      { $group: { _id: null, unread: { $sum: '$participants.unread' } } }
+    ])
+  ]);
+  const hasMore = threads.length > pageSize;
+  const page = threads.slice(0, pageSize);
+  return {
+    threads: page.map(thread => thread.toClient(username)),
+    totalUnread: totals.length ? totals[0].unread : 0,
+    nextCursor: hasMore ? page[page.length - 1].lastMessageAt.toISOString() : null,
+    hasMore
+  };
+};
+
+// A page of the conversation between `username` and `other`, oldest first
+export const fetchThreadMessages = async (username, other, query) => {
+  const thread = await findThread(username, other);
+  if (!thread) return { messages: [], nextCursor: null, hasMore: false };
+  return DirectMessage.fetchPage(thread._id, query);
+};
+
+// Clear the unread count and mark every message to `username` read. Returns { thread, readAt }
+// or null if there is no thread.
+export const markThreadRead = async (username, other) => {
+  const readAt = new Date();
+  const thread = await DirectThread.findOneAndUpdate(
+    { key: threadKey(username, other), 'participants.username': username },
+    { $set: { 'participants.$.unread': 0, 'participants.$.lastReadAt': readAt } },
+    { new: true }
+  );
+  if (!thread) return null;
+  const unread = { thread: thread._id, to: username, readAt: null };
+  await DirectMessage.updateMany({ ...unread, deliveredAt: null }, { deliveredAt: readAt });
+  await DirectMessage.updateMany(unread, { readAt });
+  return { thread, readAt };
+};
+
+// Record that `username` received `messageIds` from `other`. Returns { thread, messageIds,
+// deliveredAt } with only the ids that weren't already marked.
+export const markMessagesDelivered = async (username, other, messageIds) => {
+  let ids;
+  try {
+    ids = cleanMessageIds(messageIds);
+  } catch (error) {
+    if (error instanceof ReceiptError) throw new DirectMessageError(error.message);
+    throw error;
+  }
+  const thread = await findThread(username, other);
+  if (!thread) throw new DirectMessageError('Conversation not found', 404);
+
+  const deliveredAt = new Date();
+  const pending = await DirectMessage.find({ thread: thread._id, _id: { $in: ids }, to: username, deliveredAt: null }, '_id');
+  if (pending.length) {
+    await DirectMessage.updateMany({ _id: { $in: pending.map(doc => doc._id) }, deliveredAt: null }, { deliveredAt });
+  }
+  return { thread, messageIds: pending.map(doc => doc._id.toString()), deliveredAt };
+};
+
+export const setDmPolicy = async (username, dmPolicy) => {
+  if (!DM_POLICIES.includes(dmPolicy)) {
+    throw new DirectMessageError(`dmPolicy must be one of ${DM_POLICIES.join(', ')}`);
+  }
+  await User.updateOne({ username }, { dmPolicy });
+};
@@ -0,0 +1,118 @@
+import User from '../models/User.js';
+import FriendRequest from '../models/FriendRequest.js';
+
+// Friends: a request from one user, accepted by the other. Friendship is stored on both
+// users' `friends` lists, so it is always mutual.
+
+const MAX_FRIENDS = 1000;
+const MAX_PENDING_REQUESTS = 100;
+
+export class FriendError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FriendError';
+    this.status = status;
+  }
+}
+
+const cleanUsername = (username) => {
+  if (typeof username !== 'string' || !username.trim()) throw new FriendError('Username is required');
+  return username.trim();
+};
+
+const befriend = (a, b) => Promise.all([
+  User.updateOne({ username: a }, { $addToSet: { friends: b } }),
+  User.updateOne({ username: b }, { $addToSet: { friends: a } })
+]);
+
+// Ask `to` to be friends. If `to` already asked `from`, they simply become friends.
+// Returns { request } for a new request or { accepted: true } when it matched one.
+export const sendFriendRequest = async (from, to) => {
+  to = cleanUsername(to);
+  if (to === from) throw new FriendError('You cannot befriend yourself');
+
+  const [sender, recipient] = await Promise.all([
+    User.findOne({ username: from }, 'friends blockedUsers'),
+    User.findOne({ username: to }, 'blockedUsers')
+  ]);
+  if (!sender || !recipient) throw new FriendError('User not found', 404);
+  if (sender.blockedUsers.includes(to) || recipient.blockedUsers.includes(from)) {
+    throw new FriendError('You cannot send a friend request to this user', 403);
+  }
+  if (sender.friends.includes(to)) throw new FriendError('You are already friends');
+  if (sender.friends.length >= MAX_FRIENDS) throw new FriendError(`You can have at most ${MAX_FRIENDS} friends`);
+
+  const reverse = await FriendRequest.findOneAndDelete({ from: to, to: from });
+  if (reverse) {
+    await befriend(from, to);
+    console.log(`${from} and ${to} are now friends`);
+    return { accepted: true };
+  }
+
+  if (await FriendRequest.countDocuments({ from }) >= MAX_PENDING_REQUESTS) {
+    throw new FriendError(`You can have at most ${MAX_PENDING_REQUESTS} pending requests`);
+  }
+  try {
+    const request = await FriendRequest.create({ from, to });
+    console.log(`Friend request from ${from} to ${to}`);
+    return { request };
+  } catch (error) {
+    if (error.code === 11000) throw new FriendError('Friend request already sent', 409);
+    throw error;
+  }
+};
+
+export const acceptFriendRequest = async (username, from) => {
+  const request = await FriendRequest.findOneAndDelete({ from: cleanUsername(from), to: username });
+  if (!request) throw new FriendError('Friend request not found', 404);
+  await befriend(username, request.from);
+  console.log(`${username} accepted the friend request from ${request.from}`);
+};
+
+export const declineFriendRequest = async (username, from) => {
+  const request = await FriendRequest.findOneAndDelete({ from: cleanUsername(from), to: username });
+  if (!request) throw new FriendError('Friend request not found', 404);
+};
+
+export const cancelFriendRequest = async (username, to) => {
+  const request = await FriendRequest.findOneAndDelete({ from: username, to: cleanUsername(to) });
+  if (!request) throw new FriendError('Friend request not found', 404);
+};
+
+export const unfriend = async (username, other) => {
+  other = cleanUsername(other);
+  const result = await User.updateOne({ username, friends: other }, { $pull: { friends: other } });
+  if (!result.modifiedCount) throw new FriendError('You are not friends', 404);
+  await User.updateOne({ username: other }, { $pull: { friends: username } });
+  console.log(`${username} unfriended ${other}`);
+};
+
+// Drop the friendship and any pending requests between two users, e.g. on a block
+export const severFriendship = (a, b) => Promise.all([
+  User.updateOne({ username: a }, { $pull: { friends: b } }),
+  User.updateOne({ username: b }, { $pull: { friends: a } }),
+  FriendRequest.deleteMany({ $or: [{ from: a, to: b }, { from: b, to: a }] })
+]);
+
+export const listFriends = async (username) => {
+  const user = await User.findOne({ username }, 'friends');
+  return user ? user.friends : [];
+};
+
+export const listFriendRequests = async (username) => {
+  const [incoming, outgoing] = await Promise.all([
+    FriendRequest.find({ to: username }).sort({ createdAt: -1 }),
+    FriendRequest.find({ from: username }).sort({ createdAt: -1 })
+  ]);
+  return {
+    incoming: incoming.map(request => request.toClient()),
+    outgoing: outgoing.map(request => request.toClient())
+  };
+};
+
+// Throws unless every one of `usernames` is a friend of `username`
+export const assertFriends = async (username, usernames) => {
+  const friends = new Set(await listFriends(username));
+  const stranger = usernames.find(name => !friends.has(name));
+  if (stranger) throw new FriendError(`${stranger} is not your friend`, 403);
+};
@@ -0,0 +1,34 @@
+import axios from 'axios';
+import config from '../config/index.js';
+
+// Thin client for the Gemini generateContent API used by the /api/* AI routes
+
+export class AiUnavailableError extends Error {
+  constructor() {
+    super('GEMINI_API_KEY is not configured');
+    this.name = 'AiUnavailableError';
+  }
+}
+
+export const isAiConfigured = () => Boolean(config.ai.geminiApiKey);
+
+// Send a single-turn prompt and return the first candidate's text, or null if there is none
+export const generateText = async (prompt) => {
+  if (!isAiConfigured()) {
+    throw new AiUnavailableError();
+  }
+
+  const response = await axios.post(
+    `https://generativelanguage.googleapis.com/v1/models/${config.ai.geminiModel}:generateContent`,
+    {
+      contents: [
+        {
+          role: "user",
+          parts: [{ text: prompt }]
+        }
+      ]
+    },
+    { params: { key: config.ai.geminiApiKey } }
+  );
+  return response.data?.candidates?.[0]?.content?.parts?.[0]?.text || null;
+};
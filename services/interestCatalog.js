@@ -0,0 +1,131 @@
+// Interest taxonomy: canonical tags, their synonyms and the category they belong to.
+// Everything that takes interests from users (interest rooms, roulette, the AI routes)
+// runs them through normalizeInterests() so "Music", "music " and "songs" are one tag.
+// Interests that aren't in the catalog are still allowed, just normalized.
+
+export const MAX_INTERESTS = 20;
+const MAX_INTEREST_LENGTH = 50;
+
+export const CATEGORIES = [
+  {
+    id: 'arts',
+    label: 'Arts & Culture',
+    interests: [
+      { tag: 'music', label: 'Music', synonyms: ['songs', 'song', 'musics', 'musician'] },
+      { tag: 'movies', label: 'Movies', synonyms: ['movie', 'films', 'film', 'cinema'] },
+      { tag: 'tv shows', label: 'TV Shows', synonyms: ['tv', 'series', 'tv series', 'television'] },
+      { tag: 'books', label: 'Books', synonyms: ['book', 'reading', 'novels', 'literature'] },
+      { tag: 'art', label: 'Art', synonyms: ['drawing', 'painting', 'illustration'] },
+      { tag: 'photography', label: 'Photography', synonyms: ['photos', 'photo', 'camera'] },
+      { tag: 'anime', label: 'Anime', synonyms: ['manga'] }
+    ]
+  },
+  {
+    id: 'games',
+    label: 'Games',
+    interests: [
+      { tag: 'gaming', label: 'Gaming', synonyms: ['games', 'video games', 'videogames', 'gamer'] },
+      { tag: 'board games', label: 'Board Games', synonyms: ['boardgames', 'tabletop'] },
+      { tag: 'chess', label: 'Chess', synonyms: [] },
+      { tag: 'esports', label: 'Esports', synonyms: ['e-sports', 'competitive gaming'] }
+    ]
+  },
+  {
+    id: 'sports',
+    label: 'Sports & Fitness',
+    interests: [
+      { tag: 'football', label: 'Football', synonyms: ['soccer'] },
+      { tag: 'basketball', label: 'Basketball', synonyms: ['nba'] },
+      { tag: 'cricket', label: 'Cricket', synonyms: [] },
+      { tag: 'fitness', label: 'Fitness', synonyms: ['gym', 'workout', 'working out', 'exercise'] },
+      { tag: 'running', label: 'Running', synonyms: ['jogging', 'marathon'] },
+      { tag: 'yoga', label: 'Yoga', synonyms: ['meditation'] }
+    ]
+  },
+  {
+    id: 'tech',
+    label: 'Technology',
+    interests: [
+      { tag: 'programming', label: 'Programming', synonyms: ['coding', 'code', 'software', 'developer', 'dev'] },
+      { tag: 'ai', label: 'AI', synonyms: ['artificial intelligence', 'machine learning', 'ml'] },
+      { tag: 'gadgets', label: 'Gadgets', synonyms: ['tech', 'technology', 'electronics'] },
+      { tag: 'crypto', label: 'Crypto', synonyms: ['cryptocurrency', 'bitcoin', 'blockchain'] },
+      { tag: 'science', label: 'Science', synonyms: ['physics', 'space', 'astronomy'] }
+    ]
+  },
+  {
+    id: 'lifestyle',
+    label: 'Lifestyle',
+    interests: [
+      { tag: 'travel', label: 'Travel', synonyms: ['travelling', 'traveling', 'backpacking'] },
+      { tag: 'food', label: 'Food', synonyms: ['cooking', 'baking', 'foodie', 'recipes'] },
+      { tag: 'fashion', label: 'Fashion', synonyms: ['style', 'clothes'] },
+      { tag: 'pets', label: 'Pets', synonyms: ['dogs', 'cats', 'animals'] },
+      { tag: 'nature', label: 'Nature', synonyms: ['hiking', 'outdoors', 'camping'] }
+    ]
+  },
+  {
+    id: 'learning',
+    label: 'Learning & Ideas',
+    interests: [
+      { tag: 'languages', label: 'Languages', synonyms: ['language learning', 'language exchange'] },
+      { tag: 'history', label: 'History', synonyms: [] },
+      { tag: 'philosophy', label: 'Philosophy', synonyms: [] },
+      { tag: 'psychology', label: 'Psychology', synonyms: [] },
+      { tag: 'startups', label: 'Startups', synonyms: ['business', 'entrepreneurship'] }
+    ]
+  }
+];
+
+// Lowercase, trim, collapse whitespace and drop a leading '#'
+export const normalizeText = (value) => value.trim().toLowerCase().replace(/^#+/, '').replace(/\s+/g, ' ');
+
+// tag -> { tag, label, category }; every synonym and tag -> canonical tag
+const TAGS = new Map();
+const ALIASES = new Map();
+CATEGORIES.forEach(category => {
+  category.interests.forEach(({ tag, label, synonyms }) => {
+    TAGS.set(tag, { tag, label, category: category.id });
+    ALIASES.set(tag, tag);
+    synonyms.forEach(synonym => ALIASES.set(normalizeText(synonym), tag));
+  });
+});
+
+// Canonical tag for a free-form interest, or null if it isn't usable
+export const canonicalInterest = (value) => {
+  if (typeof value !== 'string') return null;
+  const text = normalizeText(value);
+  if (!text || text.length > MAX_INTEREST_LENGTH) return null;
+  return ALIASES.get(text) || text;
+};
+
+// Canonical, de-duplicated tags, at most MAX_INTERESTS of them
+export const normalizeInterests = (interests) => {
+  if (!Array.isArray(interests)) return [];
+  const tags = interests.map(canonicalInterest).filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_INTERESTS);
+};
+
+// Catalog entry for a tag; free-form tags get a generated label and no category
+export const describeInterest = (tag) => TAGS.get(tag) || { tag, label: tag, category: null };
+
+// Autocomplete: tags whose tag, label or a synonym starts with (then contains) the query
+export const searchInterests = (query, { limit = 10 } = {}) => {
+  const text = normalizeText(query || '');
+  if (!text) return [];
+
+  const prefix = new Set();
+  const contains = new Set();
+  for (const [alias, tag] of ALIASES) {
+    if (alias.startsWith(text)) prefix.add(tag);
+    else if (alias.includes(text)) contains.add(tag);
+  }
+  return [...new Set([...prefix, ...contains])].slice(0, limit).map(describeInterest);
+};
+
+// The whole catalog, for pickers
+export const listCategories = () => CATEGORIES.map(({ id, label, interests }) => ({
+  id,
+  label,
+  interests: interests.map(({ tag, label: tagLabel }) => ({ tag, label: tagLabel, category: id }))
+}));
@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import InterestMessage from '../models/InterestMessage.js';
+import { summarizeReactions, likesOf } from './reactions.js';
+
+// Recent messages of every interest room.
+// Each room keeps its last `capacity` messages in a ring buffer, which is what history,
+// reactions and moderation read and change. With `persist` on, every change is also written
+// to the InterestMessage collection as a record kept until its TTL; it is never read back,
+// since room names are random and a room is gone once it empties. Messages older than
+// `ttlMs` are dropped in both places.
+
+export class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  // Adds an item, returning the one it pushed out (if the buffer was full)
+  push(item) {
+    let evicted;
+    if (this.size < this.capacity) {
+      this.items[(this.start + this.size) % this.capacity] = item;
+      this.size += 1;
+    } else {
+      evicted = this.items[this.start];
+      this.items[this.start] = item;
+      this.start = (this.start + 1) % this.capacity;
+    }
+    return evicted;
+  }
+
+  // Oldest first
+  toArray() {
+    return Array.from({ length: this.size }, (_, i) => this.items[(this.start + i) % this.capacity]);
+  }
+
+  find(predicate) {
+    return this.toArray().find(predicate);
+  }
+
+  // Removes the first matching item and returns it
+  remove(predicate) {
+    const items = this.toArray();
+    const index = items.findIndex(predicate);
+    if (index === -1) return undefined;
+    const [removed] = items.splice(index, 1);
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+    items.forEach(item => this.push(item));
+    return removed;
+  }
+}
+
+export const createMessageId = () => crypto.randomBytes(12).toString('hex');
+
+// Shape sent over the wire, matching receiveInterestMessage
+export const toClientInterestMessage = (msg) => ({
+  ...msg.payload,
+  id: msg.id,
+  clientId: msg.clientId,
+  roomName: msg.roomName,
+  username: msg.username,
+  message: msg.message,
+  reactions: summarizeReactions(msg.reactions),
+  likes: likesOf(msg.reactions),
+  timestamp: msg.createdAt.toISOString()
+});
+
+export class InterestHistory {
+  constructor({
+    capacity = config.chat.interestHistorySize,
+    persist = config.chat.persistInterestMessages,
+    ttlMs = config.chat.interestMessageTtlHours * 60 * 60 * 1000,
+    model = InterestMessage
+  } = {}) {
+    this.capacity = capacity;
+    this.persist = persist;
+    this.ttlMs = ttlMs;
+    this.model = model;
+    this.rooms = new Map();
+  }
+
+  isFresh(msg, now = Date.now()) {
+    return now - msg.createdAt.getTime() < this.ttlMs;
+  }
+
+  // The room's buffer, created on first use
+  async buffer(roomName) {
+    if (!this.rooms.has(roomName)) this.rooms.set(roomName, new RingBuffer(this.capacity));
+    return this.rooms.get(roomName);
+  }
+
+  // Store a message sent with sendInterestMessage and return the stored copy
+  async add(roomName, username, data) {
+    const { id: clientId, roomName: _room, username: _user, message, timestamp, reactions, likes, ...payload } = data;
+    const msg = {
+      id: createMessageId(),
+      clientId: clientId ? String(clientId) : undefined,
+      roomName,
+      username,
+      message: typeof message === 'string' ? message : '',
+      payload,
+      reactions: [],
+      createdAt: new Date()
+    };
+
+    const buffer = await this.buffer(roomName);
+    buffer.push(msg);
+    if (this.persist) {
+      await this.model.create({ ...msg, messageId: msg.id });
+    }
+    return msg;
+  }
+
+  // Latest messages, oldest first
+  async recent(roomName, limit = this.capacity) {
+    const buffer = await this.buffer(roomName);
+    const messages = buffer.toArray().filter(msg => this.isFresh(msg));
+    return messages.slice(-limit);
+  }
+
+  async find(roomName, messageId) {
+    const buffer = await this.buffer(roomName);
+    const msg = buffer.find(item => item.id === messageId);
+    return msg && this.isFresh(msg) ? msg : null;
+  }
+
+  // Save changes made to a message returned by find() (reactions, ...)
+  async update(msg) {
+    if (!this.persist) return;
+    await this.model.updateOne(
+      { roomName: msg.roomName, messageId: msg.id },
+      { message: msg.message, payload: msg.payload, reactions: msg.reactions }
+    );
+  }
+
+  async remove(roomName, messageId) {
+    const buffer = await this.buffer(roomName);
+    const removed = buffer.remove(item => item.id === messageId);
+    if (this.persist) {
+      await this.model.deleteOne({ roomName, messageId });
+    }
+    return removed || null;
+  }
+
+  // Forget a room that emptied out; persisted messages expire with their TTL
+  clear(roomName) {
+    this.rooms.delete(roomName);
+  }
+}
@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { normalizeInterests } from './interestCatalog.js';
+
+// Assigns users to interest rooms.
+// Every open room is scored against the user's interests by Jaccard similarity
+// (|shared| / |union|) with the interests of the people already in it, and the best room
+// that still has space wins. When the only overlapping rooms are full, a sibling room with
+// the same topic is opened rather than growing the full one.
+//
+// Rooms also carry their moderation state, since interest rooms only live in memory: the
+// first person in is the owner (passed on when they leave), plus moderators, bans, mutes and
+// the room's content policy.
+
+export const INTEREST_ROOM_PREFIX = 'interest-room-';
+
+export const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared += 1;
+  }
+  return shared / (a.size + b.size - shared);
+};
+
+const createRoomName = () => `${INTEREST_ROOM_PREFIX}${crypto.randomBytes(8).toString('hex')}`;
+
+export class InterestMatcher {
+  constructor({ maxRoomSize = config.chat.interestRoomMaxSize } = {}) {
+    this.maxRoomSize = maxRoomSize;
+    // roomName -> { name, topic: Set, members: Map(memberId -> { username, interests: Set }),
+    //   siblingOf, owner, moderators: Set, bans: Set, mutes: Map(username -> until), contentPolicy }
+    this.rooms = new Map();
+  }
+
+  // The room's topic plus the interests of everyone in it
+  roomInterests(room) {
+    const interests = new Set(room.topic);
+    for (const member of room.members.values()) {
+      member.interests.forEach(interest => interests.add(interest));
+    }
+    return interests;
+  }
+
+  isFull(room) {
+    return room.members.size >= this.maxRoomSize;
+  }
+
+  hasAnyOf(room, usernames) {
+    for (const member of room.members.values()) {
+      if (usernames.has(member.username)) return true;
+    }
+    return false;
+  }
+
+  // Pick a room for `interests` without joining it, skipping rooms that banned `username`
+  // and rooms with anyone in `avoid` (a Set of usernames, e.g. from block lists).
+  // Returns { roomName, sharedInterests, score, created, siblingOf }.
+  match(interests, { username, avoid } = {}) {
+    const wanted = new Set(normalizeInterests(interests));
+    let best = null;
+    let bestFull = null;
+
+    for (const room of this.rooms.values()) {
+      if (username && room.bans.has(username)) continue;
+      if (avoid && avoid.size && this.hasAnyOf(room, avoid)) continue;
+      const roomInterests = this.roomInterests(room);
+      const score = jaccard(wanted, roomInterests);
+      if (score === 0) continue;
+
+      const candidate = {
+        room,
+        score,
+        sharedInterests: [...wanted].filter(interest => roomInterests.has(interest))
+      };
+      const slot = this.isFull(room) ? 'full' : 'open';
+      const current = slot === 'full' ? bestFull : best;
+      // Ties go to the busier room so conversations don't fragment
+      const better = !current
+        || score > current.score
+        || (score === current.score && room.members.size > current.room.members.size);
+      if (!better) continue;
+      if (slot === 'full') bestFull = candidate;
+      else best = candidate;
+    }
+
+    if (best) {
+      return { roomName: best.room.name, sharedInterests: best.sharedInterests, score: best.score, created: false };
+    }
+
+    if (bestFull) {
+      // Same topic, fresh room: seed it with what the user had in common with the full one
+      const name = this.createRoom(bestFull.sharedInterests, bestFull.room.siblingOf || bestFull.room.name);
+      return {
+        roomName: name,
+        sharedInterests: bestFull.sharedInterests,
+        score: bestFull.score,
+        created: true,
+        siblingOf: this.rooms.get(name).siblingOf
+      };
+    }
+
+    return { roomName: this.createRoom([...wanted]), sharedInterests: [], score: 0, created: true };
+  }
+
+  createRoom(topic, siblingOf) {
+    const name = createRoomName();
+    this.rooms.set(name, {
+      name,
+      topic: new Set(topic),
+      members: new Map(),
+      siblingOf,
+      owner: null,
+      moderators: new Set(),
+      bans: new Set(),
+      mutes: new Map(),
+      // Owner's overrides of the default content policy
+      contentPolicy: {}
+    });
+    return name;
+  }
+
+  // Returns false if the room is gone, full or has banned the user
+  join(roomName, memberId, interests, username) {
+    const room = this.rooms.get(roomName);
+    if (!room || (this.isFull(room) && !room.members.has(memberId)) || room.bans.has(username)) return false;
+    room.members.set(memberId, { username, interests: new Set(normalizeInterests(interests)) });
+    if (!room.owner) room.owner = username;
+    return true;
+  }
+
+  // Returns how many members are left; the room is forgotten once it is empty
+  leave(roomName, memberId) {
+    const room = this.rooms.get(roomName);
+    if (!room) return 0;
+    room.members.delete(memberId);
+    if (room.members.size === 0) {
+      this.rooms.delete(roomName);
+      return 0;
+    }
+    // The owner's last tab left: a moderator takes over, or else whoever has been there longest
+    const usernames = this.usernames(roomName);
+    if (!usernames.includes(room.owner)) {
+      room.owner = usernames.find(name => room.moderators.has(name)) || usernames[0];
+    }
+    return room.members.size;
+  }
+
+  room(roomName) {
+    return this.rooms.get(roomName) || null;
+  }
+
+  // Distinct usernames in the room, in joining order
+  usernames(roomName) {
+    const room = this.rooms.get(roomName);
+    return room ? [...new Set([...room.members.values()].map(member => member.username))] : [];
+  }
+
+  // Member ids (socket ids) of `username` in the room
+  memberIdsOf(roomName, username) {
+    const room = this.rooms.get(roomName);
+    if (!room) return [];
+    return [...room.members].filter(([, member]) => member.username === username).map(([id]) => id);
+  }
+
+  size(roomName) {
+    const room = this.rooms.get(roomName);
+    return room ? room.members.size : 0;
+  }
+
+  // How many people currently in interest rooms have each interest, and in how many rooms:
+  // tag -> { count, rooms }
+  interestCounts() {
+    const counts = new Map();
+    for (const room of this.rooms.values()) {
+      const seenInRoom = new Set();
+      for (const { interests } of room.members.values()) {
+        for (const interest of interests) {
+          const entry = counts.get(interest) || { count: 0, rooms: 0 };
+          entry.count += 1;
+          if (!seenInRoom.has(interest)) {
+            entry.rooms += 1;
+            seenInRoom.add(interest);
+          }
+          counts.set(interest, entry);
+        }
+      }
+    }
+    return counts;
+  }
+
+  topic(roomName) {
+    const room = this.rooms.get(roomName);
+    return room ? [...room.topic] : [];
+  }
+}
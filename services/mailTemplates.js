@@ -0,0 +1,51 @@
+// HTML/text bodies for every email the app sends. Each template returns { subject, html, text }.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = (title, body) => `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 5px;">
+          <h2 style="color: #333;">${escapeHtml(title)}</h2>
+          ${body}
+        </div>
+      `;
+
+const button = (url, label) => `
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${escapeHtml(url)}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; font-weight: bold;">${escapeHtml(label)}</a>
+          </div>`;
+
+export const verificationEmail = ({ otp }) => ({
+  subject: 'Your Verification Code',
+  html: layout('Your Verification Code', `
+          <p>Please use the following code to verify your account:</p>
+          <div style="background-color: #f5f5f5; padding: 15px; font-size: 24px; text-align: center; letter-spacing: 5px; font-weight: bold;">
+            ${escapeHtml(otp)}
+          </div>
+          <p style="margin-top: 20px;">This code will expire in 1 hour.</p>
+          <p>If you didn't request this code, please ignore this email.</p>`),
+  text: `Your verification code is ${otp}. It will expire in 1 hour.\n\nIf you didn't request this code, please ignore this email.`
+});
+
+export const passwordResetEmail = ({ resetUrl }) => ({
+  subject: 'Password Reset Request',
+  html: layout('Password Reset Request', `
+          <p>You requested a password reset for your Chat App account. Click the button below to reset your password:</p>
+          ${button(resetUrl, 'Reset Password')}
+          <p>If you didn't request this, please ignore this email and your password will remain unchanged.</p>
+          <p>This link is valid for 1 hour.</p>`),
+  text: `You requested a password reset for your Chat App account. Open this link to reset your password:\n\n${resetUrl}\n\nIf you didn't request this, please ignore this email. The link is valid for 1 hour.`
+});
+
+// Generic notice, e.g. security alerts; `actionUrl`/`actionLabel` are optional
+export const notificationEmail = ({ title, message, actionUrl, actionLabel = 'Open Chat App' }) => ({
+  subject: title,
+  html: layout(title, `
+          <p>${escapeHtml(message)}</p>
+          ${actionUrl ? button(actionUrl, actionLabel) : ''}`),
+  text: actionUrl ? `${message}\n\n${actionLabel}: ${actionUrl}` : message
+});
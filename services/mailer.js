@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import sgMail from '@sendgrid/mail';
+import mailgun from 'mailgun-js';
+import config from '../config/index.js';
+import { verificationEmail, passwordResetEmail, notificationEmail } from './mailTemplates.js';
+
+// Single entry point for outgoing email. The transport is picked with MAIL_TRANSPORT
+// (validated in config/index.js):
+//   smtp     - nodemailer (EMAIL_USER / EMAIL_PASS, SMTP_SERVICE or SMTP_HOST / SMTP_PORT)
+//   sendgrid - SENDGRID_API_KEY
+//   mailgun  - MAILGUN_API_KEY / MAILGUN_DOMAIN
+//   outbox   - writes each message as a JSON file to MAIL_OUTBOX_DIR (offline tests)
+//   console  - logs each message (local development)
+
+const createSmtpTransport = ({ smtp }) => {
+  const auth = { user: smtp.user, pass: smtp.pass };
+  const transporter = nodemailer.createTransport(smtp.host
+    ? { host: smtp.host, port: smtp.port, secure: smtp.port === 465, auth }
+    : { service: smtp.service, auth });
+
+  // Check the connection once, not on every email
+  let verified;
+  return {
+    name: 'smtp',
+    async send(mail) {
+      verified = verified || transporter.verify().catch((error) => {
+        verified = null;
+        throw error;
+      });
+      await verified;
+      const info = await transporter.sendMail(mail);
+      return { id: info.messageId };
+    }
+  };
+};
+
+const createSendgridTransport = ({ sendgrid }) => {
+  sgMail.setApiKey(sendgrid.apiKey);
+  return {
+    name: 'sendgrid',
+    async send(mail) {
+      const [response] = await sgMail.send(mail);
+      return { id: response.headers['x-message-id'] };
+    }
+  };
+};
+
+const createMailgunTransport = ({ mailgun: settings }) => {
+  const client = mailgun({ apiKey: settings.apiKey, domain: settings.domain });
+  return {
+    name: 'mailgun',
+    async send(mail) {
+      const body = await client.messages().send(mail);
+      return { id: body.id };
+    }
+  };
+};
+
+const createOutboxTransport = ({ outboxDir }) => {
+  const dir = path.resolve(outboxDir);
+  return {
+    name: 'outbox',
+    dir,
+    async send(mail) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, `${id}.json`),
+        JSON.stringify({ id, sentAt: new Date().toISOString(), ...mail }, null, 2)
+      );
+      return { id };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(mail) {
+    console.log(`📧 [mail] to=${mail.to} subject="${mail.subject}"\n${mail.text}`);
+    return { id: `console-${Date.now()}` };
+  }
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  sendgrid: createSendgridTransport,
+  mailgun: createMailgunTransport,
+  outbox: createOutboxTransport,
+  console: createConsoleTransport
+};
+
+export const createTransport = (name, mailConfig = config.mail) => {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+  }
+  return factory(mailConfig);
+};
+
+let activeTransport = null;
+
+// Created on first use so nothing connects until an email is actually sent
+const getTransport = () => {
+  if (!activeTransport) {
+    activeTransport = createTransport(config.mail.transport);
+    console.log(`Mailer using ${activeTransport.name} transport`);
+  }
+  return activeTransport;
+};
+
+// Swap the transport at runtime, e.g. a stub in tests. Pass null to go back to the configured one.
+export const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+export const sendMail = async ({ to, subject, html, text }) => {
+  const transport = getTransport();
+  const result = await transport.send({ from: config.mail.from, to, subject, html, text });
+  console.log(`✅ Email "${subject}" sent via ${transport.name}:`, result.id);
+  return result;
+};
+
+export const sendVerificationEmail = (to, { otp }) => sendMail({ to, ...verificationEmail({ otp }) });
+
+export const sendPasswordResetEmail = (to, { resetUrl }) => sendMail({ to, ...passwordResetEmail({ resetUrl }) });
+
+export const sendNotificationEmail = (to, notification) => sendMail({ to, ...notificationEmail(notification) });
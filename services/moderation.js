@@ -0,0 +1,82 @@
+import ModerationLog from '../models/ModerationLog.js';
+
+// Rules and record keeping shared by private and interest room moderation.
+
+export const MIN_MUTE_SECONDS = 10;
+export const MAX_MUTE_SECONDS = 7 * 24 * 60 * 60;
+const MAX_REASON_LENGTH = 500;
+const DEFAULT_LOG_LIMIT = 50;
+const MAX_LOG_LIMIT = 200;
+
+export class ModerationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModerationError';
+  }
+}
+
+// `roles` is { owner, moderators } with moderators as an array or Set.
+// The owner can act on anyone else; moderators only on regular members.
+export const assertCanModerate = ({ owner, moderators }, actor, target) => {
+  const isModerator = (name) => (moderators instanceof Set ? moderators.has(name) : moderators.includes(name));
+  if (actor !== owner && !isModerator(actor)) {
+    throw new ModerationError('Only the room owner or a moderator can do that');
+  }
+  if (typeof target !== 'string' || !target) throw new ModerationError('No user given');
+  if (target === actor) throw new ModerationError('You cannot do that to yourself');
+  if (target === owner) throw new ModerationError('The room owner cannot be moderated');
+  if (actor !== owner && isModerator(target)) {
+    throw new ModerationError('Only the room owner can moderate a moderator');
+  }
+};
+
+export const assertOwner = ({ owner }, actor) => {
+  if (actor !== owner) throw new ModerationError('Only the room owner can do that');
+};
+
+// Mute length in seconds -> end time, or null to unmute (0)
+export const muteUntil = (durationSeconds, now = Date.now()) => {
+  const seconds = Number(durationSeconds);
+  if (seconds === 0) return null;
+  if (!Number.isFinite(seconds) || seconds < MIN_MUTE_SECONDS || seconds > MAX_MUTE_SECONDS) {
+    throw new ModerationError(`Mute duration must be 0 or between ${MIN_MUTE_SECONDS} and ${MAX_MUTE_SECONDS} seconds`);
+  }
+  return new Date(now + Math.round(seconds) * 1000);
+};
+
+// End of `username`'s mute (ms) in a username -> until map, forgetting mutes that ran out
+export const mutedUntil = (mutes, username, now = Date.now()) => {
+  const until = mutes && mutes.get(username);
+  if (!until) return null;
+  if (until <= now) {
+    mutes.delete(username);
+    return null;
+  }
+  return until;
+};
+
+export const cleanReason = (reason) => (typeof reason === 'string' ? reason.trim().slice(0, MAX_REASON_LENGTH) : undefined);
+
+// Saving the log must never undo an action that already happened
+export const logModeration = async (entry) => {
+  try {
+    await ModerationLog.create(entry);
+  } catch (error) {
+    console.error('Error writing moderation log:', error);
+  }
+  console.log(`Moderation in ${entry.roomType} room ${entry.room}: ${entry.actor} ${entry.action} ${entry.target}`);
+};
+
+// Newest first: [{ action, actor, target, reason, until, createdAt }]
+export const fetchModerationLog = async (roomType, room, { limit } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LOG_LIMIT, 1), MAX_LOG_LIMIT);
+  const entries = await ModerationLog.find({ roomType, room }).sort({ createdAt: -1 }).limit(pageSize);
+  return entries.map(({ action, actor, target, reason, until, createdAt }) => ({
+    action,
+    actor,
+    target,
+    reason,
+    until: until ? until.toISOString() : undefined,
+    createdAt: createdAt.toISOString()
+  }));
+};
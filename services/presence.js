@@ -0,0 +1,111 @@
+import config from '../config/index.js';
+
+// Who is online, per user across all their tabs and namespaces.
+// Each socket reports its own state with heartbeats: active, idle (no input for a while) or
+// hidden (tab in the background). A socket that stops sending heartbeats counts as away.
+// A user's status is the most present of their sockets: online > idle > away, and offline
+// once the last socket is gone.
+//
+// Methods that can change a user's status return { username, status, lastSeen, sockets }
+// (sockets being the ones whose rooms should hear about it) or null when nothing changed.
+
+export const STATUSES = ['online', 'idle', 'away', 'offline'];
+
+const rank = (status) => STATUSES.indexOf(status);
+
+export class PresenceTracker {
+  constructor({ awayAfterMs = config.presence.awayAfterSeconds * 1000 } = {}) {
+    this.awayAfterMs = awayAfterMs;
+    // username -> { status, lastSeen: Date, sockets: Map(socketId -> { socket, state, heartbeatAt }) }
+    this.users = new Map();
+    // socketId -> username
+    this.socketUsers = new Map();
+  }
+
+  socketStatus(entry, now = Date.now()) {
+    if (now - entry.heartbeatAt >= this.awayAfterMs || entry.state === 'hidden') return 'away';
+    return entry.state === 'idle' ? 'idle' : 'online';
+  }
+
+  // Recompute a user's status; returns a change if it moved
+  refresh(username, now = Date.now(), extraSockets = []) {
+    const user = this.users.get(username);
+    if (!user) return null;
+
+    let status = 'offline';
+    for (const entry of user.sockets.values()) {
+      const socketStatus = this.socketStatus(entry, now);
+      if (rank(socketStatus) < rank(status)) status = socketStatus;
+    }
+    if (status === user.status) return null;
+
+    user.status = status;
+    const sockets = [...extraSockets, ...[...user.sockets.values()].map(entry => entry.socket)];
+    if (status === 'offline') this.users.delete(username);
+    return { username, status, lastSeen: user.lastSeen, sockets };
+  }
+
+  connect(socket, now = Date.now()) {
+    const username = socket.username;
+    if (!this.users.has(username)) {
+      this.users.set(username, { status: 'offline', lastSeen: new Date(now), sockets: new Map() });
+    }
+    const user = this.users.get(username);
+    user.sockets.set(socket.id, { socket, state: 'active', heartbeatAt: now });
+    user.lastSeen = new Date(now);
+    this.socketUsers.set(socket.id, username);
+    return this.refresh(username, now);
+  }
+
+  // state: 'active' | 'idle' | 'hidden'
+  heartbeat(socket, state = 'active', now = Date.now()) {
+    const username = this.socketUsers.get(socket.id);
+    const user = username && this.users.get(username);
+    if (!user) return null;
+    const entry = user.sockets.get(socket.id);
+    entry.state = ['active', 'idle', 'hidden'].includes(state) ? state : 'active';
+    entry.heartbeatAt = now;
+    if (entry.state === 'active') user.lastSeen = new Date(now);
+    return this.refresh(username, now);
+  }
+
+  // The disconnecting socket is included in the change so its rooms hear about it
+  disconnect(socket, now = Date.now()) {
+    const username = this.socketUsers.get(socket.id);
+    const user = username && this.users.get(username);
+    this.socketUsers.delete(socket.id);
+    if (!user) return null;
+    user.sockets.delete(socket.id);
+    return this.refresh(username, now, [socket]);
+  }
+
+  // Mark sockets whose heartbeats stopped as away
+  sweep(now = Date.now()) {
+    return [...this.users.keys()].map(username => this.refresh(username, now)).filter(Boolean);
+  }
+
+  get(username) {
+    const user = this.users.get(username);
+    if (!user) return null;
+    return { username, status: user.status, lastSeen: user.lastSeen };
+  }
+
+  // Every connected socket of the user, on any namespace
+  socketsOf(username) {
+    const user = this.users.get(username);
+    return user ? [...user.sockets.values()].map(entry => entry.socket) : [];
+  }
+
+  usernameOf(socketId) {
+    return this.socketUsers.get(socketId) || null;
+  }
+
+  // The user's most recently active socket, preferring ones on namespace `nspName`
+  socketIdOf(username, nspName) {
+    const user = this.users.get(username);
+    if (!user) return null;
+    const entries = [...user.sockets.values()]
+      .sort((a, b) => (b.socket.nsp.name === nspName) - (a.socket.nsp.name === nspName) || b.heartbeatAt - a.heartbeatAt);
+    return entries.length ? entries[0].socket.id : null;
+  }
+}
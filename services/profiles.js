@@ -0,0 +1,114 @@
+import User from '../models/User.js';
+import { normalizeInterests } from './interestCatalog.js';
+
+// User profiles. The owner sees everything; other users see the username, display name and
+// each optional field whose privacy setting allows it ('everyone', 'friends' or 'nobody').
+
+const LIMITS = { displayName: 50, bio: 500, pronouns: 30 };
+const PRIVATE_FIELDS = ['avatar', 'bio', 'pronouns', 'interests'];
+const VISIBILITIES = ['everyone', 'friends', 'nobody'];
+
+export class ProfileError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProfileError';
+    this.status = status;
+  }
+}
+
+const PROFILE_FIELDS = 'username profile privacy friends';
+
+export const findProfileUser = (username) => User.findOne({ username }, PROFILE_FIELDS);
+
+export const toOwnProfile = (user) => ({
+  username: user.username,
+  displayName: user.profile.displayName || user.username,
+  avatarUrl: user.profile.avatarUrl || null,
+  bio: user.profile.bio || '',
+  pronouns: user.profile.pronouns || '',
+  interests: user.profile.interests,
+  locale: user.profile.locale || null,
+  privacy: Object.fromEntries(PRIVATE_FIELDS.map(field => [field, user.privacy[field]]))
+});
+
+// `user` as seen by `viewer` (a username, or null for nobody in particular)
+export const toPublicProfile = (user, viewer) => {
+  if (viewer === user.username) return toOwnProfile(user);
+  const isFriend = Boolean(viewer) && user.friends.includes(viewer);
+  const canSee = (field) => user.privacy[field] === 'everyone' || (user.privacy[field] === 'friends' && isFriend);
+  const own = toOwnProfile(user);
+  return {
+    username: own.username,
+    displayName: own.displayName,
+    avatarUrl: canSee('avatar') ? own.avatarUrl : null,
+    bio: canSee('bio') ? own.bio : '',
+    pronouns: canSee('pronouns') ? own.pronouns : '',
+    interests: canSee('interests') ? own.interests : [],
+    locale: own.locale
+  };
+};
+
+const cleanText = (field, value) => {
+  if (value === null) return undefined;
+  if (typeof value !== 'string') throw new ProfileError(`${field} must be a string`);
+  const trimmed = value.trim();
+  if (trimmed.length > LIMITS[field]) throw new ProfileError(`${field} can be at most ${LIMITS[field]} characters`);
+  return trimmed || undefined;
+};
+
+const cleanLocale = (value) => {
+  if (value === null) return undefined;
+  if (typeof value !== 'string') throw new ProfileError('locale must be a string');
+  try {
+    return Intl.getCanonicalLocales(value)[0];
+  } catch {
+    throw new ProfileError('locale must be a language tag such as en or pt-BR');
+  }
+};
+
+// Apply a PATCH body of profile fields and privacy settings; unknown fields are ignored.
+// `null` clears a text field. Returns the updated own profile.
+export const updateProfile = async (username, body) => {
+  const update = {};
+  ['displayName', 'bio', 'pronouns'].forEach((field) => {
+    if (body[field] !== undefined) update[`profile.${field}`] = cleanText(field, body[field]);
+  });
+  if (body.interests !== undefined) {
+    if (!Array.isArray(body.interests)) throw new ProfileError('interests must be a list');
+    update['profile.interests'] = normalizeInterests(body.interests);
+  }
+  if (body.locale !== undefined) update['profile.locale'] = cleanLocale(body.locale);
+  if (body.privacy !== undefined) {
+    if (!body.privacy || typeof body.privacy !== 'object') throw new ProfileError('privacy must be an object');
+    for (const [field, visibility] of Object.entries(body.privacy)) {
+      if (!PRIVATE_FIELDS.includes(field)) throw new ProfileError(`Unknown privacy setting "${field}"`);
+      if (!VISIBILITIES.includes(visibility)) {
+        throw new ProfileError(`${field} visibility must be one of ${VISIBILITIES.join(', ')}`);
+      }
+      update[`privacy.${field}`] = visibility;
+    }
+  }
+
+  const $unset = Object.fromEntries(Object.entries(update).filter(([, value]) => value === undefined).map(([key]) => [key, 1]));
+  const $set = Object.fromEntries(Object.entries(update).filter(([, value]) => value !== undefined));
+  const user = await User.findOneAndUpdate({ username }, { $set, $unset }, { new: true, projection: PROFILE_FIELDS });
+  if (!user) throw new ProfileError('User not found', 404);
+  return toOwnProfile(user);
+};
+
+// Point the profile at a newly uploaded avatar (or none); returns the previous URL
+export const setAvatar = async (username, avatarUrl) => {
+  const previous = await User.findOneAndUpdate(
+    { username },
+    avatarUrl ? { $set: { 'profile.avatarUrl': avatarUrl } } : { $unset: { 'profile.avatarUrl': 1 } },
+    { projection: 'profile.avatarUrl' }
+  );
+  if (!previous) throw new ProfileError('User not found', 404);
+  return previous.profile && previous.profile.avatarUrl;
+};
+
+// Interests for a request that didn't send any: the ones saved on the profile
+export const savedInterests = async (username) => {
+  const user = await User.findOne({ username }, 'profile.interests');
+  return user && user.profile ? user.profile.interests : [];
+};
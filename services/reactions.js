@@ -0,0 +1,72 @@
+import config from '../config/index.js';
+
+// Emoji reactions shared by private and interest rooms.
+// A message keeps its reactions as [{ emoji, users: [username] }] in first-used order, which
+// works both as a Mongoose subdocument array and as a plain array on in-memory messages.
+
+// What the old like buttons toggle
+export const LIKE_EMOJI = '👍';
+
+const MAX_EMOJI_LENGTH = 32;
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|[#*0-9]\uFE0F?\u20E3)/u;
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+export class ReactionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReactionError';
+  }
+}
+
+// Returns the emoji if `value` is exactly one emoji (including ZWJ sequences, flags and
+// skin tones), otherwise null
+export const normalizeEmoji = (value) => {
+  if (typeof value !== 'string') return null;
+  const emoji = value.trim();
+  if (!emoji || emoji.length > MAX_EMOJI_LENGTH) return null;
+  const graphemes = [...segmenter.segment(emoji)];
+  if (graphemes.length !== 1 || !EMOJI_PATTERN.test(emoji)) return null;
+  return emoji;
+};
+
+// Add or remove `username`'s reaction in place. Returns true if it was added.
+// Throws ReactionError for an invalid emoji or when a new emoji would exceed the cap.
+export const toggleReaction = (reactions, rawEmoji, username, {
+  maxDistinct = config.chat.maxReactionsPerMessage
+} = {}) => {
+  const emoji = normalizeEmoji(rawEmoji);
+  if (!emoji) throw new ReactionError('Invalid emoji');
+
+  const index = reactions.findIndex(reaction => reaction.emoji === emoji);
+  if (index === -1) {
+    if (reactions.length >= maxDistinct) {
+      throw new ReactionError(`A message can have at most ${maxDistinct} different reactions`);
+    }
+    reactions.push({ emoji, users: [username] });
+    return true;
+  }
+
+  const reaction = reactions[index];
+  if (!reaction.users.includes(username)) {
+    reaction.users.push(username);
+    return true;
+  }
+
+  reaction.users = reaction.users.filter(user => user !== username);
+  // Drop empty reactions so they don't count towards the cap
+  if (reaction.users.length === 0) reactions.splice(index, 1);
+  return false;
+};
+
+// Aggregated form sent to clients
+export const summarizeReactions = (reactions = []) => reactions.map(({ emoji, users }) => ({
+  emoji,
+  count: users.length,
+  users: [...users]
+}));
+
+// Usernames behind the like button, for clients that still read `likes`
+export const likesOf = (reactions = []) => {
+  const like = reactions.find(reaction => reaction.emoji === LIKE_EMOJI);
+  return like ? [...like.users] : [];
+};
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+
+// Delivery and read receipts for private room messages. Clients report the ids of messages
+// they received (delivered) or showed on screen (read); reading implies delivery. Each
+// recipient has at most one receipt per message and its times never change once set.
+
+export const MAX_RECEIPT_BATCH = 100;
+export const RECEIPT_KINDS = ['delivered', 'read'];
+
+export class ReceiptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReceiptError';
+  }
+}
+
+// A list of message ids from a client, deduplicated
+export const cleanMessageIds = (messageIds) => {
+  if (!Array.isArray(messageIds) || messageIds.length === 0) {
+    throw new ReceiptError('messageIds must be a non-empty list');
+  }
+  if (messageIds.length > MAX_RECEIPT_BATCH) {
+    throw new ReceiptError(`At most ${MAX_RECEIPT_BATCH} messages per receipt`);
+  }
+  const ids = [...new Set(messageIds.map(String))];
+  if (!ids.every(id => mongoose.isValidObjectId(id))) throw new ReceiptError('Invalid message id');
+  return ids;
+};
+
+// Record that `username` got (or read) `messageIds` in the room. Returns the ids that were not
+// already marked, and the time they were marked at.
+export const recordRoomReceipts = async (roomCode, username, messageIds, kind) => {
+  const ids = cleanMessageIds(messageIds);
+  const at = new Date();
+  const field = kind === 'read' ? 'readAt' : 'deliveredAt';
+
+  const pending = await Message.find({
+    roomCode,
+    _id: { $in: ids },
+    username: { $ne: username },
+    deletedAt: null,
+    receipts: { $not: { $elemMatch: { username, [field]: { $ne: null } } } }
+  }, '_id');
+  const pendingIds = pending.map(doc => doc._id);
+  if (!pendingIds.length) return { messageIds: [], at };
+
+  await Message.updateMany(
+    { _id: { $in: pendingIds }, 'receipts.username': { $ne: username } },
+    { $push: { receipts: { username, deliveredAt: at, readAt: kind === 'read' ? at : null } } }
+  );
+  if (kind === 'read') {
+    await Message.updateMany(
+      { _id: { $in: pendingIds } },
+      { $set: { 'receipts.$[receipt].readAt': at } },
+      { arrayFilters: [{ 'receipt.username': username, 'receipt.readAt': null }] }
+    );
+  }
+  return { messageIds: pendingIds.map(id => id.toString()), at };
+};
@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import Report, { REPORT_REASONS } from '../models/Report.js';
+import Room from '../models/Room.js';
+import Message from '../models/Message.js';
+import DirectThread from '../models/DirectThread.js';
+import DirectMessage from '../models/DirectMessage.js';
+
+// User reports. Each report keeps a snapshot of the room's recent messages so admins can
+// review what happened even after the messages were deleted or the room expired.
+
+const SNAPSHOT_SIZE = 50;
+const MAX_DETAILS_LENGTH = 2000;
+const MAX_REPORTS_PER_HOUR = 10;
+const MAX_FLAGGED_MESSAGES = 100;
+
+// Report reason for content the filter flagged
+const FILTER_REASONS = { profanity: 'harassment', link: 'spam', phone: 'spam', email: 'spam' };
+
+export class ReportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReportError';
+    this.status = status;
+  }
+}
+
+const snapshotMessage = (msg) => ({
+  id: msg.id,
+  username: msg.username,
+  message: msg.message,
+  timestamp: msg.timestamp
+});
+
+// Members and recent messages of the room, or null if it doesn't exist
+const loadRoom = async (roomType, room, { interestMatcher, interestHistory }) => {
+  if (roomType === 'private') {
+    const stored = await Room.findOne({ code: room }, 'code members');
+    if (!stored) return null;
+    const docs = await Message.find({ roomCode: room, deletedAt: null }).sort({ _id: -1 }).limit(SNAPSHOT_SIZE);
+    return { members: stored.members, messages: docs.reverse().map(doc => snapshotMessage(doc.toClient())) };
+  }
+
+  if (roomType === 'direct') {
+    const thread = mongoose.isValidObjectId(room) && await DirectThread.findById(room);
+    if (!thread) return null;
+    const docs = await DirectMessage.find({ thread: thread._id }).sort({ _id: -1 }).limit(SNAPSHOT_SIZE);
+    return {
+      members: thread.participants.map(participant => participant.username),
+      messages: docs.reverse().map(doc => snapshotMessage({ ...doc.toClient(), username: doc.from }))
+    };
+  }
+
+  if (!interestMatcher.room(room)) return null;
+  const recent = await interestHistory.recent(room, SNAPSHOT_SIZE);
+  return {
+    members: interestMatcher.usernames(room),
+    messages: recent.map(msg => snapshotMessage({ ...msg, timestamp: msg.createdAt.toISOString() }))
+  };
+};
+
+// Where a report payload points: { roomCode } for a private room, { roomName } for an
+// interest room or { threadId } for a direct message thread
+export const reportLocation = ({ roomCode, roomName, threadId }) => {
+  if (roomCode) return { roomType: 'private', room: roomCode };
+  if (threadId) return { roomType: 'direct', room: threadId };
+  return { roomType: 'interest', room: roomName };
+};
+
+// `roomType` is 'private' (room = room code), 'interest' (room = interest room name) or
+// 'direct' (room = thread id). The reporter has to be in the room; the reported user has to be in it or have posted recently.
+export const createReport = async ({ reporter, reported, roomType, room, reason, details }, rooms) => {
+  if (typeof reported !== 'string' || !reported.trim()) throw new ReportError('Reported user is required');
+  reported = reported.trim();
+  if (reported === reporter) throw new ReportError('You cannot report yourself');
+  if (!['private', 'interest', 'direct'].includes(roomType) || typeof room !== 'string' || !room) {
+    throw new ReportError('A room code, interest room name or thread id is required');
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new ReportError(`Reason must be one of ${REPORT_REASONS.join(', ')}`);
+  }
+
+  const recentCount = await Report.countDocuments({ reporter, createdAt: { $gt: new Date(Date.now() - 60 * 60 * 1000) } });
+  if (recentCount >= MAX_REPORTS_PER_HOUR) {
+    throw new ReportError('Too many reports. Please try again later.', 429);
+  }
+
+  const snapshot = await loadRoom(roomType, room, rooms);
+  if (!snapshot) throw new ReportError('Room not found', 404);
+  if (!snapshot.members.includes(reporter)) throw new ReportError('You are not in this room', 403);
+  if (!snapshot.members.includes(reported) && !snapshot.messages.some(msg => msg.username === reported)) {
+    throw new ReportError('That user is not in this room');
+  }
+
+  const report = await Report.create({
+    reporter,
+    reported,
+    roomType,
+    room,
+    reason,
+    details: typeof details === 'string' ? details.trim().slice(0, MAX_DETAILS_LENGTH) : '',
+    messages: snapshot.messages
+  });
+  console.log(`User ${reporter} reported ${reported} in ${roomType} room ${room} (${reason})`);
+  return report;
+};
+
+const filterReason = (findings) => {
+  const label = findings.map(finding => finding.label).find(reason => REPORT_REASONS.includes(reason));
+  return label || FILTER_REASONS[findings[0].category] || 'other';
+};
+
+// Queue a message the content filter flagged for admin review. Flags pile up on the user's
+// open filter report for the room instead of opening a new report each time.
+export const flagMessage = async ({ roomType, room, username, messageId, message, categories, findings }, rooms) => {
+  const flagged = {
+    messageId,
+    message,
+    categories,
+    labels: findings.map(finding => finding.label).filter(Boolean)
+  };
+  const open = await Report.findOneAndUpdate(
+    { source: 'filter', reported: username, room, status: { $in: ['open', 'triaged'] } },
+    { $push: { flaggedMessages: { $each: [flagged], $slice: -MAX_FLAGGED_MESSAGES } } },
+    { new: true }
+  );
+  if (open) return open;
+
+  const snapshot = await loadRoom(roomType, room, rooms);
+  const report = await Report.create({
+    source: 'filter',
+    reported: username,
+    roomType,
+    room,
+    reason: filterReason(findings),
+    details: `Flagged by the content filter: ${categories.join(', ')}`,
+    messages: snapshot ? snapshot.messages : [],
+    flaggedMessages: [flagged]
+  });
+  console.log(`Content filter flagged ${username} in ${roomType} room ${room} (${categories.join(', ')})`);
+  return report;
+};
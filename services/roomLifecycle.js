@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import Room from '../models/Room.js';
+import Message from '../models/Message.js';
+
+// Creation, activity tracking and expiry of private rooms.
+// Every room carries an `expiresAt`: activity pushes it `idleExpiryMs` into the future, and
+// when the last person leaves it is pulled in to `emptyGraceMs`. The expiry sweep in
+// sockets/privateRooms.js deletes rooms (and their messages) once it passes, which also
+// covers rooms left behind by a restart.
+
+const CODE_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const CODE_LENGTH = 8;
+const MAX_CODE_ATTEMPTS = 5;
+// Don't write lastActivityAt on every message of a busy room
+const TOUCH_THROTTLE_MS = 60 * 1000;
+
+const idleExpiryMs = () => config.rooms.idleExpiryHours * 60 * 60 * 1000;
+const emptyGraceMs = () => config.rooms.emptyGraceMinutes * 60 * 1000;
+
+export const randomRoomCode = () => Array.from(
+  { length: CODE_LENGTH },
+  () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+).join('');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// Create a room under a fresh code, retrying on the (unlikely) collision.
+//   options: { password, inviteOnly, maxMembers, kind, code, members }
+export const createRoom = async (owner, {
+  password,
+  inviteOnly = false,
+  maxMembers,
+  kind = 'private',
+  code,
+  members = [],
+  invited = []
+} = {}) => {
+  const limit = Math.min(Math.max(parseInt(maxMembers, 10) || config.rooms.maxMembers, 2), config.rooms.maxMembers);
+  const now = Date.now();
+
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const candidate = code || randomRoomCode();
+    if (!code && await Room.exists({ code: candidate })) continue;
+
+    const room = new Room({
+      code: candidate,
+      owner,
+      members: [...new Set([owner, ...members])],
+      invited,
+      kind,
+      accessMode: inviteOnly ? 'invite' : password ? 'password' : 'open',
+      maxMembers: limit,
+      lastActivityAt: new Date(now),
+      expiresAt: new Date(now + idleExpiryMs())
+    });
+    if (!inviteOnly) await room.setPassword(password);
+
+    try {
+      return await room.save();
+    } catch (error) {
+      // Lost a race for the code between exists() and save()
+      if (!isDuplicateKey(error) || code) throw error;
+    }
+  }
+  throw new Error('Could not allocate a room code');
+};
+
+// Add `username` to the members unless the room filled up meanwhile. Returns the room or null.
+export const admitMember = (code, username) => Room.findOneAndUpdate(
+  {
+    code,
+    $or: [
+      { members: username },
+      // Rooms from before the member cap have no maxMembers stored
+      { $expr: { $lt: [{ $size: '$members' }, { $ifNull: ['$maxMembers', config.rooms.maxMembers] }] } }
+    ]
+  },
+  { $addToSet: { members: username }, $pull: { invited: username } },
+  { new: true }
+);
+
+// Record activity; returns the new expiry time if it was written
+export const touchRoom = async (code, lastTouchedAt = 0, now = Date.now()) => {
+  if (now - lastTouchedAt < TOUCH_THROTTLE_MS) return null;
+  const expiresAt = new Date(now + idleExpiryMs());
+  await Room.updateOne({ code }, { lastActivityAt: new Date(now), expiresAt });
+  return expiresAt;
+};
+
+// Allocate the next message sequence number in the room, or null if the room is gone.
+// A message that then fails to save leaves a gap, which clients can ignore.
+export const nextMessageSeq = async (code) => {
+  const room = await Room.findOneAndUpdate({ code }, { $inc: { lastSeq: 1 } }, { new: true, projection: 'lastSeq' });
+  return room ? room.lastSeq : null;
+};
+
+// Nobody is left in the room: let it go after the grace period unless someone comes back
+export const markRoomEmpty = (code, now = Date.now()) => {
+  const expiresAt = new Date(now + emptyGraceMs());
+  return Room.updateOne({ code, expiresAt: { $gt: expiresAt } }, { expiresAt });
+};
+
+export const findExpiredRooms = (now = Date.now()) => Room.find({ expiresAt: { $lte: new Date(now) } }, 'code');
+
+export const deleteRoom = async (code) => {
+  await Message.deleteMany({ roomCode: code });
+  await Room.deleteOne({ code });
+};
+
+// Remove a member for good (leaveRoom). The owner's role passes to a moderator, or else
+// the longest-standing member.
+export const removeMember = async (code, username) => {
+  const room = await Room.findOne({ code });
+  if (!room || !room.isMember(username)) return room;
+
+  room.members = room.members.filter(member => member !== username);
+  room.moderators = room.moderators.filter(member => member !== username);
+  if (room.owner === username && room.members.length) {
+    room.owner = room.moderators[0] || room.members[0];
+  }
+  return room.save();
+};
@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { jaccard } from './interestMatcher.js';
+
+// One-to-one matchmaking for roulette mode.
+// Waiting users are paired by shared interests (best Jaccard score, then longest wait).
+// Once someone has waited `randomAfterMs` they can be paired with anyone. People who were
+// paired recently are never paired again until they drop out of each other's recent list.
+//
+// Entries are { id, username, interests: string[] } plus whatever the caller attaches
+// (the socket, ...); the queue hands the same objects back in matches.
+
+export class RouletteQueue {
+  constructor({
+    randomAfterMs = config.roulette.randomMatchAfterSeconds * 1000,
+    recentPartnerLimit = config.roulette.recentPartnerLimit
+  } = {}) {
+    this.randomAfterMs = randomAfterMs;
+    this.recentPartnerLimit = recentPartnerLimit;
+    // id -> entry, in queueing order
+    this.waiting = new Map();
+    // id -> { roomCode, self, partner }
+    this.pairs = new Map();
+    // username -> usernames of the latest partners, newest last
+    this.recent = new Map();
+  }
+
+  isQueued(id) {
+    return this.waiting.has(id);
+  }
+
+  recentlyMet(a, b) {
+    return (this.recent.get(a) || []).includes(b) || (this.recent.get(b) || []).includes(a);
+  }
+
+  // Entries may carry `blocked`, a Set of usernames they must never be paired with
+  isBlocked(a, b) {
+    return Boolean((a.blocked && a.blocked.has(b.username)) || (b.blocked && b.blocked.has(a.username)));
+  }
+
+  canPair(a, b) {
+    return a.id !== b.id && a.username !== b.username
+      && !this.isBlocked(a, b) && !this.recentlyMet(a.username, b.username);
+  }
+
+  // Apply a new block to the queue straight away. Ends any pairing between the two users and
+  // returns the ended pairs as { roomCode, a, b } with `a` the blocking side.
+  block(username, target) {
+    for (const entry of this.waiting.values()) {
+      if (entry.username === username) entry.blocked = new Set([...(entry.blocked || []), target]);
+      if (entry.username === target) entry.blocked = new Set([...(entry.blocked || []), username]);
+    }
+
+    const ended = [];
+    for (const [id, pair] of this.pairs) {
+      if (pair.self.username !== username || pair.partner.username !== target) continue;
+      this.unpair(id);
+      ended.push({ roomCode: pair.roomCode, a: pair.self, b: pair.partner });
+    }
+    return ended;
+  }
+
+  hasWaitedLongEnough(entry, now = Date.now()) {
+    return now - entry.queuedAt >= this.randomAfterMs;
+  }
+
+  take(a, b, random) {
+    this.waiting.delete(a.id);
+    this.waiting.delete(b.id);
+    const shared = b.interests.filter(interest => a.interests.includes(interest));
+    return { a, b, sharedInterests: shared, random };
+  }
+
+  // Queue an entry, or pair it straight away. Returns the match or null.
+  enqueue(entry) {
+    this.cancel(entry.id);
+    const queued = { ...entry, queuedAt: Date.now() };
+    const wanted = new Set(queued.interests);
+
+    let best = null;
+    let bestScore = 0;
+    const patient = [];
+    for (const other of this.waiting.values()) {
+      if (!this.canPair(queued, other)) continue;
+      const score = jaccard(wanted, new Set(other.interests));
+      // Waiting map is in queueing order, so on a tie the longest wait wins
+      if (score > bestScore) {
+        best = other;
+        bestScore = score;
+      }
+      if (this.hasWaitedLongEnough(other)) patient.push(other);
+    }
+
+    if (best) return this.take(best, queued, false);
+    if (patient.length) return this.take(patient[crypto.randomInt(patient.length)], queued, true);
+
+    this.waiting.set(queued.id, queued);
+    return null;
+  }
+
+  // Called when an entry's wait runs out: pair it with anyone it may meet
+  matchRandom(id) {
+    const entry = this.waiting.get(id);
+    if (!entry) return null;
+    const candidates = [...this.waiting.values()].filter(other => this.canPair(entry, other));
+    if (!candidates.length) return null;
+    return this.take(entry, candidates[crypto.randomInt(candidates.length)], true);
+  }
+
+  cancel(id) {
+    return this.waiting.delete(id);
+  }
+
+  remember(a, b) {
+    if (!this.recentPartnerLimit) return;
+    [[a, b], [b, a]].forEach(([user, partner]) => {
+      const partners = (this.recent.get(user) || []).filter(name => name !== partner);
+      partners.push(partner);
+      this.recent.set(user, partners.slice(-this.recentPartnerLimit));
+    });
+  }
+
+  pair(a, b, roomCode) {
+    this.pairs.set(a.id, { roomCode, self: a, partner: b });
+    this.pairs.set(b.id, { roomCode, self: b, partner: a });
+    this.remember(a.username, b.username);
+  }
+
+  pairOf(id) {
+    return this.pairs.get(id) || null;
+  }
+
+  // End the pairing `id` is in, for both sides. Returns { roomCode, partner } or null.
+  unpair(id) {
+    const pair = this.pairs.get(id);
+    if (!pair) return null;
+    this.pairs.delete(id);
+    this.pairs.delete(pair.partner.id);
+    return pair;
+  }
+}
@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { signToken, ACCESS_TOKEN_TTL_SECONDS } from '../middleware/auth.js';
+import config from '../config/index.js';
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored on the user
+const REFRESH_TOKEN_TTL_MS = config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000;
+const MAX_SESSIONS_PER_USER = 10;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Prefer an explicit device id from the client, fall back to the user agent
+const describeDevice = (req) => {
+  const device = req.body && typeof req.body.device === 'string' ? req.body.device.trim() : '';
+  return (device || req.headers['user-agent'] || 'unknown').slice(0, 200);
+};
+
+const tokensFor = (user, session, refreshToken) => ({
+  token: signToken(user, session._id.toString()),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS
+});
+
+// Start a session for the device making the request. Signing in again from the same
+// device replaces its previous session instead of piling up new ones.
+export const createSession = async (user, req) => {
+  const device = describeDevice(req);
+  const now = Date.now();
+
+  user.sessions = user.sessions.filter(s => s.expiresAt > now && s.device !== device);
+  while (user.sessions.length >= MAX_SESSIONS_PER_USER) {
+    user.sessions.shift(); // drop the oldest
+  }
+
+  const refreshToken = newRefreshToken();
+  user.sessions.push({
+    tokenHash: hashToken(refreshToken),
+    device,
+    userAgent: req.headers['user-agent'],
+    expiresAt: new Date(now + REFRESH_TOKEN_TTL_MS)
+  });
+  await user.save();
+
+  return tokensFor(user, user.sessions[user.sessions.length - 1], refreshToken);
+};
+
+// Exchange a refresh token for a new token pair. The old refresh token stops working (rotation).
+// Returns null when the token is unknown or expired.
+export const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const user = await User.findOne({ 'sessions.tokenHash': tokenHash });
+  if (!user) return null;
+
+  const session = user.sessions.find(s => s.tokenHash === tokenHash);
+  if (session.expiresAt < Date.now()) {
+    session.deleteOne();
+    await user.save();
+    return null;
+  }
+
+  const nextToken = newRefreshToken();
+  session.tokenHash = hashToken(nextToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+  await user.save();
+
+  return { user, ...tokensFor(user, session, nextToken) };
+};
+
+// Remove the session a refresh token belongs to; returns its id, or null if it was unknown
+export const revokeSessionByToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const user = await User.findOne({ 'sessions.tokenHash': tokenHash });
+  if (!user) return null;
+
+  const session = user.sessions.find(s => s.tokenHash === tokenHash);
+  const sessionId = session._id.toString();
+  session.deleteOne();
+  await user.save();
+  return { userId: user._id.toString(), sessionId };
+};
+
+export const revokeSession = async (userId, sessionId) => {
+  const result = await User.updateOne(
+    { _id: userId },
+    { $pull: { sessions: { _id: sessionId } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+export const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $set: { sessions: [] } });
+};
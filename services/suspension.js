@@ -0,0 +1,30 @@
+import User from '../models/User.js';
+
+// Admin account suspension. /login, /verify-otp, /auth/refresh and socket handshakes all
+// refuse suspended accounts. Callers that suspend someone also revoke their sessions and
+// disconnect their sockets (see routes/admin.js).
+
+export const isSuspended = (user, now = Date.now()) => Boolean(
+  user && user.suspension && user.suspension.suspendedAt && (!user.suspension.until || user.suspension.until > now)
+);
+
+export const sendSuspended = (res, user) => res.status(403).json({
+  message: 'This account has been suspended.',
+  reason: user.suspension.reason,
+  suspendedUntil: user.suspension.until ? user.suspension.until.toISOString() : null
+});
+
+// `days` omitted means indefinitely. Returns the user, or null if they don't exist.
+export const suspendUser = async (username, { days, reason, by } = {}) => {
+  const until = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined;
+  const user = await User.findOneAndUpdate(
+    { username },
+    { suspension: { reason, suspendedBy: by, suspendedAt: new Date(), until } },
+    { new: true }
+  );
+  if (!user) return null;
+  console.log(`User ${username} suspended by ${by}${until ? ` until ${until.toISOString()}` : ''}`);
+  return user;
+};
+
+export const liftSuspension = (username) => User.findOneAndUpdate({ username }, { $unset: { suspension: 1 } }, { new: true });
@@ -0,0 +1,270 @@
+import { CALL_NAMESPACES, emitToRoom, getUsername } from './helpers.js';
+
+const MESH_ROOM_PREFIX = 'mesh:';
+
+// Sockets on the /calls namespace don't go through joinRoom, so put them in the
+// room's channel here as long as they are a member of the private room.
+const joinCallRoom = (socket, room) => {
+  if (room && room.users && room.users.includes(getUsername(socket)) && !socket.rooms.has(room.name)) {
+    socket.join(room.name);
+  }
+};
+
+// Room-wide voice/video calls, WebRTC signaling and socket lookups
+export const registerCallHandlers = (nsp, socket, state) => {
+  const { activeRooms, presence, meshRooms } = state;
+
+  // Call events also reach room members on the other namespace serving calls
+  const broadcast = (roomCode, event, payload) => emitToRoom(nsp, CALL_NAMESPACES, roomCode, event, payload);
+  const broadcastToOthers = (roomCode, event, payload) => emitToRoom(nsp, CALL_NAMESPACES, roomCode, event, payload, socket);
+
+  // The live private room `roomCode` if this socket's user is in it. Calls only happen in
+  // rooms people joined through joinRoom; the acting user is always the socket's own.
+  const memberRoom = (roomCode) => {
+    const room = typeof roomCode === 'string' ? activeRooms.get(roomCode) : null;
+    return room && room.users && room.users.includes(getUsername(socket)) ? room : null;
+  };
+
+  // Voice Call Handlers - Enhanced for room-wide calls
+  socket.on('callRequest', (data) => {
+    const { roomCode, participants } = data || {};
+    const from = getUsername(socket);
+    const room = memberRoom(roomCode);
+    if (!room) return;
+    console.log(`Call request from ${from} in room ${roomCode} with participants:`, participants);
+    
+    // Store call state for the room
+    joinCallRoom(socket, room);
+    room.callState = 'ringing';
+    room.callInitiator = from;
+    room.callParticipants = Array.isArray(participants) ? participants : [];
+    
+    // Send call request to all users in the room except the caller
+    broadcastToOthers(roomCode, 'callRequest', { 
+      from, 
+      roomCode, 
+      participants,
+      callType: 'voice', // Indicate this is a voice call
+      message: `${from} is starting a voice call. Join the call?`
+    });
+    
+    console.log(`Call notification sent to room ${roomCode}`);
+  });
+
+  socket.on('callAccepted', (data) => {
+    const { roomCode } = data || {};
+    const from = getUsername(socket);
+    const room = memberRoom(roomCode);
+    if (!room) return;
+    console.log(`Call accepted by ${from} in room ${roomCode}`);
+    
+    joinCallRoom(socket, room);
+    // Add user to call participants if not already there
+    if (!Array.isArray(room.callParticipants)) room.callParticipants = [];
+    if (!room.callParticipants.includes(from)) {
+      room.callParticipants.push(from);
+    }
+    
+    // If this is the first acceptance, change call state to connected
+    if (room.callState === 'ringing' && room.callParticipants.length > 1) {
+      room.callState = 'connected';
+    }
+    
+    // Notify all users in the room about the acceptance
+    broadcast(roomCode, 'callAccepted', { 
+      from, 
+      roomCode,
+      callParticipants: room.callParticipants,
+      callState: room.callState || 'connected'
+    });
+    
+    // Notify all participants that someone joined the call
+    broadcast(roomCode, 'userJoinedCall', { 
+      username: from, 
+      roomCode,
+      callParticipants: room.callParticipants
+    });
+  });
+
+  socket.on('callRejected', (data) => {
+    const { roomCode } = data || {};
+    const from = getUsername(socket);
+    const room = memberRoom(roomCode);
+    if (!room) return;
+    console.log(`Call rejected by ${from} in room ${roomCode}`);
+    
+    // Notify the call initiator that their call was rejected
+    if (room.callInitiator) {
+      socket.to(room.callInitiator).emit('callRejected', { from, roomCode });
+    }
+  });
+
+  socket.on('callEnded', (data) => {
+    const { roomCode } = data || {};
+    const from = getUsername(socket);
+    const room = memberRoom(roomCode);
+    if (!room) return;
+    console.log(`Call ended by ${from} in room ${roomCode}`);
+    
+    // Reset call state for the room
+    room.callState = 'idle';
+    room.callInitiator = null;
+    room.callParticipants = [];
+    
+    // Notify all users in the room that the call has ended
+    broadcast(roomCode, 'callEnded', { 
+      from, 
+      roomCode,
+      message: `${from} ended the voice call`
+    });
+  });
+
+  // Robust userJoinedCall
+  socket.on('userJoinedCall', (data) => {
+    const { roomCode } = data || {};
+    const username = getUsername(socket);
+    const room = memberRoom(roomCode);
+    if (room) {
+      joinCallRoom(socket, room);
+      if (!Array.isArray(room.callParticipants)) room.callParticipants = [];
+      if (!room.callParticipants.includes(username)) {
+        room.callParticipants.push(username);
+        broadcast(roomCode, 'userJoinedCall', { username, roomCode, callParticipants: room.callParticipants });
+        broadcast(roomCode, 'roomParticipants', { participants: room.users, callParticipants: room.callParticipants });
+      }
+    }
+  });
+
+  // Robust userLeftCall
+  function handleLeaveCall(username, roomCode) {
+    const room = memberRoom(roomCode);
+    if (room) {
+      room.callParticipants = (room.callParticipants || []).filter(u => u !== username);
+      broadcast(roomCode, 'userLeftCall', { username, roomCode, callParticipants: room.callParticipants });
+      broadcast(roomCode, 'roomParticipants', { participants: room.users, callParticipants: room.callParticipants });
+      if (room.callParticipants.length === 0) {
+        room.callState = 'idle';
+        room.callInitiator = null;
+      }
+    }
+  }
+  socket.on('userLeftCall', (data) => {
+    const { roomCode } = data || {};
+    handleLeaveCall(getUsername(socket), roomCode);
+  });
+
+  // WebRTC Signaling
+  socket.on('offer', (data) => {
+    const { to, offer } = data || {};
+    console.log(`Offer from ${socket.id} to ${to}`);
+    socket.to(to).emit('offer', { from: socket.id, offer });
+  });
+
+  socket.on('answer', (data) => {
+    const { to, answer } = data || {};
+    console.log(`Answer from ${socket.id} to ${to}`);
+    socket.to(to).emit('answer', { from: socket.id, answer });
+  });
+
+  socket.on('iceCandidate', (data) => {
+    const { to, candidate } = data || {};
+    console.log(`ICE candidate from ${socket.id} to ${to}`);
+    socket.to(to).emit('iceCandidate', { from: socket.id, candidate });
+  });
+
+  socket.on('videoStateChanged', (data) => {
+    const { roomCode, isVideoEnabled } = data || {};
+    const username = getUsername(socket);
+    if (!memberRoom(roomCode)) return;
+    console.log(`${username} ${isVideoEnabled ? 'enabled' : 'disabled'} video in room ${roomCode}`);
+    broadcastToOthers(roomCode, 'videoStateChanged', { username, isVideoEnabled });
+  });
+
+  // Get room participants with call state
+  socket.on('getRoomParticipants', (data) => {
+    const { roomCode } = data || {};
+    const room = memberRoom(roomCode);
+    if (room) {
+      socket.emit('roomParticipants', { 
+        participants: room.users,
+        callState: room.callState || 'idle',
+        callInitiator: room.callInitiator,
+        callParticipants: room.callParticipants || []
+      });
+    } else {
+      socket.emit('roomParticipants', { 
+        participants: [],
+        callState: 'idle',
+        callInitiator: null,
+        callParticipants: []
+      });
+    }
+  });
+
+  // Get current call state for a room
+  socket.on('getCallState', (data) => {
+    const { roomCode } = data || {};
+    const room = memberRoom(roomCode);
+    if (room) {
+      socket.emit('callState', {
+        roomCode,
+        callState: room.callState || 'idle',
+        callInitiator: room.callInitiator,
+        callParticipants: room.callParticipants || []
+      });
+    } else {
+      socket.emit('callState', {
+        roomCode,
+        callState: 'idle',
+        callInitiator: null,
+        callParticipants: []
+      });
+    }
+  });
+
+  // Get socket ID for a username
+  // Resolve a user's socket for direct signaling, preferring one on this namespace
+  socket.on('getSocketId', (data, callback) => {
+    const { username } = data || {};
+    if (typeof callback !== 'function') return;
+    callback({ socketId: presence.socketIdOf(username, nsp.name) });
+  });
+  socket.on('getUsername', (data, callback) => {
+    const { socketId } = data || {};
+    if (typeof callback !== 'function') return;
+    callback({ username: presence.usernameOf(socketId) });
+  });
+
+  // --- Mesh WebRTC Signaling for Voice Calls ---
+  // Mesh rooms get their own channel prefix: a mesh room named like a private room code must
+  // never put the socket in that room's channel, where it would receive the room's messages.
+  socket.on('join', room => {
+    if (typeof room !== 'string' || !room) return;
+    const channel = `${MESH_ROOM_PREFIX}${room}`;
+    socket.join(channel);
+    meshRooms[channel] = meshRooms[channel] || [];
+    meshRooms[channel].push(socket.id);
+
+    // Send the list of peers to the new user
+    nsp.to(socket.id).emit('peers', { peers: meshRooms[channel].filter(id => id !== socket.id) });
+
+    // Notify others in the room about the new peer
+    socket.to(channel).emit('new-peer', { peerId: socket.id });
+
+    // Emit user count to all in the room
+    nsp.to(channel).emit('user-count', meshRooms[channel].length);
+
+    // Relay signals
+    socket.on('signal', (payload) => {
+      const { to, data } = payload || {};
+      nsp.to(to).emit('signal', { from: socket.id, data });
+    });
+
+    // Clean up on disconnect
+    socket.on('disconnect', () => {
+      meshRooms[channel] = (meshRooms[channel] || []).filter(id => id !== socket.id);
+      nsp.to(channel).emit('user-count', meshRooms[channel].length);
+      if (meshRooms[channel].length === 0) delete meshRooms[channel];
+    });
+  });
+};
@@ -0,0 +1,100 @@
+import { emitToUser, getUsername, toCallback } from './helpers.js';
+import {
+  DirectMessageError,
+  fetchThreadMessages,
+  listThreads,
+  markMessagesDelivered,
+  markThreadRead,
+  sendDirectMessage,
+  setDmPolicy
+} from '../services/directMessages.js';
+
+// Send a DM and deliver it live to both sides' sockets. Shared with POST /dms/:username.
+export const deliverDirectMessage = async (state, from, to, data) => {
+  const { thread, message } = await sendDirectMessage(from, to, data, state);
+  const payload = message.toClient();
+  emitToUser(state.presence, message.to, 'directMessage', { ...payload, thread: thread.toClient(message.to) });
+  emitToUser(state.presence, from, 'directMessage', { ...payload, thread: thread.toClient(from) });
+  console.log(`Direct message from ${from} to ${message.to}`);
+  return { thread, message };
+};
+
+// Mark the thread with `other` read: the reader's sockets get directThreadRead so unread
+// badges stay in sync, and the other user gets messageRead. Shared with POST /dms/:username/read.
+export const readDirectThread = async (presence, username, other) => {
+  const result = await markThreadRead(username, other);
+  if (!result) throw new DirectMessageError('Conversation not found', 404);
+  const { thread, readAt } = result;
+  emitToUser(presence, username, 'directThreadRead', thread.toClient(username));
+  emitToUser(presence, thread.otherParticipant(username).username, 'messageRead', {
+    threadId: thread._id.toString(),
+    username,
+    readAt: readAt.toISOString()
+  });
+  return thread;
+};
+
+// Direct messages between users, outside rooms
+export const registerDirectMessageHandlers = (nsp, socket, state) => {
+  const { presence } = state;
+
+  // Run an event whose callback gets { success, ... } or { error }
+  const handle = (event, action) => {
+    socket.on(event, async (data, ack) => {
+      const callback = toCallback(ack);
+      const username = getUsername(socket);
+      try {
+        callback({ success: true, ...await action(data || {}, username) });
+      } catch (error) {
+        if (error instanceof DirectMessageError) {
+          callback({ error: error.message, ...error.details });
+          return;
+        }
+        if (error.message === 'Invalid cursor') {
+          callback({ error: 'Invalid cursor' });
+          return;
+        }
+        console.error(`Error handling ${event} for ${username}:`, error);
+        callback({ error: 'Something went wrong, please try again' });
+      }
+    });
+  };
+
+  // { to, message, id?, ...extra }
+  handle('sendDirectMessage', async (data, username) => {
+    const { message } = await deliverDirectMessage(state, username, data.to, data);
+    return { message: message.toClient() };
+  });
+
+  // { before?, limit? }
+  handle('getDirectThreads', (data, username) => listThreads(username, data));
+
+  // { with, before?, limit? }
+  handle('getDirectMessages', (data, username) => fetchThreadMessages(username, data.with, data));
+
+  // { with }
+  handle('markDirectRead', async (data, username) => {
+    const thread = await readDirectThread(presence, username, data.with);
+    return { thread: thread.toClient(username) };
+  });
+
+  // { with, messageIds }: the sender is told which of their messages arrived
+  handle('markDirectDelivered', async (data, username) => {
+    const { thread, messageIds, deliveredAt } = await markMessagesDelivered(username, data.with, data.messageIds);
+    if (messageIds.length) {
+      emitToUser(presence, thread.otherParticipant(username).username, 'messageDelivered', {
+        threadId: thread._id.toString(),
+        username,
+        messageIds,
+        deliveredAt: deliveredAt.toISOString()
+      });
+    }
+    return { messageIds };
+  });
+
+  // { dmPolicy: 'friends' | 'everyone' }
+  handle('setDmPolicy', async (data, username) => {
+    await setDmPolicy(username, data.dmPolicy);
+    return { dmPolicy: data.dmPolicy };
+  });
+};
@@ -0,0 +1,94 @@
+import { emitToUser, getUsername, toCallback } from './helpers.js';
+import { lookupPresence } from './presence.js';
+import { STATUSES } from '../services/presence.js';
+import {
+  FriendError,
+  acceptFriendRequest,
+  cancelFriendRequest,
+  declineFriendRequest,
+  listFriendRequests,
+  listFriends,
+  sendFriendRequest,
+  unfriend
+} from '../services/friends.js';
+
+// Each action and what the other user is told about it
+const FRIEND_ACTIONS = {
+  send: async (username, other) => {
+    const result = await sendFriendRequest(username, other);
+    return result.accepted
+      ? { result: { accepted: true }, notify: ['friendRequestAccepted', { username }] }
+      : { result: { request: result.request.toClient() }, notify: ['friendRequestReceived', result.request.toClient()] };
+  },
+  accept: async (username, other) => {
+    await acceptFriendRequest(username, other);
+    return { result: {}, notify: ['friendRequestAccepted', { username }] };
+  },
+  decline: async (username, other) => {
+    await declineFriendRequest(username, other);
+    return { result: {}, notify: ['friendRequestDeclined', { username }] };
+  },
+  cancel: async (username, other) => {
+    await cancelFriendRequest(username, other);
+    return { result: {}, notify: ['friendRequestCancelled', { username }] };
+  },
+  unfriend: async (username, other) => {
+    await unfriend(username, other);
+    return { result: {}, notify: ['friendRemoved', { username }] };
+  }
+};
+
+// Run a friend action and notify the other user live. Shared with routes/friends.js.
+export const performFriendAction = async (presence, action, username, other) => {
+  const { result, notify: [event, payload] } = await FRIEND_ACTIONS[action](username, other);
+  emitToUser(presence, other.trim(), event, payload);
+  return result;
+};
+
+// Friends with their online status (online first), plus pending requests
+export const getContacts = async (presence, username) => {
+  const [friends, requests] = await Promise.all([listFriends(username), listFriendRequests(username)]);
+  const statuses = await lookupPresence(presence, friends);
+  statuses.sort((a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) || a.username.localeCompare(b.username));
+  return { friends: statuses, requests };
+};
+
+// Friend requests and contacts. Available in the chat namespaces too, so a request can be sent
+// to someone met in a room by their username.
+export const registerFriendHandlers = (nsp, socket, state) => {
+  const { presence } = state;
+
+  const handle = (event, action) => {
+    socket.on(event, async (data, ack) => {
+      const callback = toCallback(ack);
+      const username = getUsername(socket);
+      try {
+        callback({ success: true, ...await performFriendAction(presence, action, username, (data && data.username) || '') });
+      } catch (error) {
+        if (error instanceof FriendError) {
+          callback({ error: error.message });
+          return;
+        }
+        console.error(`Error handling ${event} for ${username}:`, error);
+        callback({ error: 'Something went wrong, please try again' });
+      }
+    });
+  };
+
+  // All take { username }
+  handle('sendFriendRequest', 'send');
+  handle('acceptFriendRequest', 'accept');
+  handle('declineFriendRequest', 'decline');
+  handle('cancelFriendRequest', 'cancel');
+  handle('unfriend', 'unfriend');
+
+  socket.on('getContacts', async (_data, ack) => {
+    const callback = toCallback(ack);
+    try {
+      callback({ success: true, ...await getContacts(presence, getUsername(socket)) });
+    } catch (error) {
+      console.error('Error loading contacts:', error);
+      callback({ error: 'Failed to load contacts' });
+    }
+  });
+};
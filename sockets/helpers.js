@@ -0,0 +1,37 @@
+// The username behind a socket. Deliberately takes no payload: only the identity verified
+// during the handshake (middleware/auth.js) can be trusted.
+export function getUsername(socket) {
+  return socket.username || null;
+}
+
+const noop = () => {};
+
+// Socket.IO hands a handler whatever the client sent, so the acknowledgement may be missing
+// or not a function at all. Returns something safe to call either way.
+export function toCallback(callback) {
+  return typeof callback === 'function' ? callback : noop;
+}
+
+// Namespaces that carry a user's personal notifications (direct messages, friend requests)
+const INBOX_NAMESPACES = ['/dms', '/'];
+
+// Emit to every socket `username` has open on an inbox namespace, through the presence map
+export function emitToUser(presence, username, event, payload) {
+  presence.socketsOf(username)
+    .filter(socket => INBOX_NAMESPACES.includes(socket.nsp.name))
+    .forEach(socket => socket.emit(event, payload));
+}
+
+// The legacy default namespace serves every feature, so a room's members can be split between
+// it and the feature's own namespace. Room broadcasts go to every namespace serving the room.
+export const ROOM_NAMESPACES = ['/', '/rooms'];
+export const INTEREST_NAMESPACES = ['/', '/interests'];
+export const CALL_NAMESPACES = ['/', '/calls'];
+
+// Emit to `room` on each of `namespaces`; `except` leaves out one socket, like socket.to(room)
+export function emitToRoom(nsp, namespaces, room, event, payload, except) {
+  namespaces.forEach(name => {
+    const target = nsp.server.of(name).to(room);
+    (except && except.nsp.name === name ? target.except(except.id) : target).emit(event, payload);
+  });
+}
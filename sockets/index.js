@@ -0,0 +1,85 @@
+import { Server } from 'socket.io';
+import config from '../config/index.js';
+import { socketAuth, sessionRoom, userRoom } from '../middleware/auth.js';
+import { ROOM_NAMESPACES } from './helpers.js';
+import { registerPrivateRoomHandlers, startRoomExpirySweep } from './privateRooms.js';
+import { registerInterestRoomHandlers } from './interestRooms.js';
+import { registerCallHandlers } from './calls.js';
+import { registerRouletteHandlers } from './roulette.js';
+import { registerModerationHandlers } from './moderation.js';
+import { registerSafetyHandlers } from './safety.js';
+import { registerDirectMessageHandlers } from './directMessages.js';
+import { registerFriendHandlers } from './friends.js';
+import { registerProfileHandlers } from './profiles.js';
+import { registerPresenceHandlers, startPresenceSweep } from './presence.js';
+
+// Each feature lives in its own namespace. The default namespace keeps serving every
+// handler so existing clients that connect to "/" keep working.
+const NAMESPACES = {
+  '/rooms': [registerPrivateRoomHandlers, registerModerationHandlers, registerSafetyHandlers, registerFriendHandlers, registerProfileHandlers],
+  '/interests': [registerInterestRoomHandlers, registerModerationHandlers, registerSafetyHandlers, registerFriendHandlers, registerProfileHandlers],
+  '/calls': [registerCallHandlers],
+  '/roulette': [registerRouletteHandlers, registerSafetyHandlers, registerFriendHandlers, registerProfileHandlers],
+  '/dms': [registerDirectMessageHandlers, registerSafetyHandlers, registerFriendHandlers, registerProfileHandlers]
+};
+// Shared handlers (moderation, safety, friends, profiles) are only registered once on the default namespace
+const LEGACY_HANDLERS = [...new Set(Object.values(NAMESPACES).flat())];
+
+export const NAMESPACE_NAMES = ['/', ...Object.keys(NAMESPACES)];
+
+// Disconnect every socket in `room` across all namespaces (e.g. a revoked session)
+export const disconnectRoom = (io, room) => {
+  NAMESPACE_NAMES.forEach(name => io.of(name).in(room).disconnectSockets(true));
+};
+
+// Handlers every namespace gets: identity rooms, presence and connection logging
+const registerConnectionHandlers = (nsp, socket, state) => {
+  console.log(`User connected: ${socket.id} (${nsp.name})`);
+
+  // Lets logout and password resets reach this socket to disconnect it
+  socket.join(sessionRoom(socket.sessionId));
+  socket.join(userRoom(socket.userId));
+
+  registerPresenceHandlers(nsp, socket, state);
+
+  // Add connection error logging
+  socket.on('error', (error) => {
+    console.error(`Socket error for ${socket.id}:`, error);
+  });
+
+  // Add disconnection logging with reason
+  socket.on('disconnect', (reason) => {
+    console.log(`Socket ${socket.id} disconnected. Reason: ${reason}`);
+  });
+};
+
+const attach = (nsp, handlers, state) => {
+  // Every namespace connection must present a valid JWT; socketAuth binds the verified username
+  nsp.use(socketAuth);
+  nsp.on('connection', (socket) => {
+    registerConnectionHandlers(nsp, socket, state);
+    handlers.forEach(register => register(nsp, socket, state));
+  });
+};
+
+export const createSocketServer = (httpServer, state) => {
+  const io = new Server(httpServer, {
+    cors: {
+      origin: config.cors.allowedOrigins,
+      methods: ["GET", "POST"],
+      credentials: true,
+      allowedHeaders: ["Content-Type", "Authorization", "Accept", "Origin"]
+    },
+    transports: ['websocket', 'polling'],
+    path: '/socket.io/',
+    // Room messages may carry base64 attachments up to the upload limit
+    maxHttpBufferSize: Math.ceil(config.uploads.maxFileSizeBytes * 1.5)
+  });
+
+  Object.entries(NAMESPACES).forEach(([name, handlers]) => attach(io.of(name), handlers, state));
+  attach(io.of('/'), LEGACY_HANDLERS, state);
+  startPresenceSweep(state);
+  startRoomExpirySweep(ROOM_NAMESPACES.map(name => io.of(name)), state);
+
+  return io;
+};
@@ -0,0 +1,256 @@
+import { INTEREST_NAMESPACES, emitToRoom, getUsername, toCallback } from './helpers.js';
+import { LIKE_EMOJI, ReactionError, likesOf, summarizeReactions, toggleReaction } from '../services/reactions.js';
+import { toClientInterestMessage } from '../services/interestHistory.js';
+import { INTEREST_ROOM_PREFIX } from '../services/interestMatcher.js';
+import { normalizeInterests } from '../services/interestCatalog.js';
+import { mutedUntil } from '../services/moderation.js';
+import { blockedRelations } from '../services/blocks.js';
+import { ContentPolicyError, blockedMessageText, cleanPolicy, resolvePolicy } from '../services/contentModeration.js';
+import { flagMessage } from '../services/reports.js';
+import { savedInterests } from '../services/profiles.js';
+
+const noop = () => {};
+
+// Whether joinInterestRoom placed `socket` in the room and the room hasn't banned its user.
+// Being in the Socket.IO channel alone doesn't count: any handler can join a socket to one.
+export const isInterestMember = (interestMatcher, roomName, socket) => {
+  const room = typeof roomName === 'string' ? interestMatcher.room(roomName) : null;
+  return Boolean(room && room.members.has(socket.id) && !room.bans.has(getUsername(socket)));
+};
+
+// Interest-based group rooms
+export const registerInterestRoomHandlers = (nsp, socket, state) => {
+  const { interestMatcher, interestHistory, contentModerator } = state;
+  const inRoom = (roomName) => isInterestMember(interestMatcher, roomName, socket);
+
+  // Room broadcasts also reach members connected to the other namespace serving interest rooms
+  const broadcast = (roomName, event, payload) => emitToRoom(nsp, INTEREST_NAMESPACES, roomName, event, payload);
+  const broadcastToOthers = (roomName, event, payload) => emitToRoom(nsp, INTEREST_NAMESPACES, roomName, event, payload, socket);
+
+  // Leave a room and update everyone's count; an empty room's history is dropped
+  const leaveRoom = (roomName) => {
+    const remaining = interestMatcher.leave(roomName, socket.id);
+    if (remaining > 0) {
+      broadcastToOthers(roomName, 'interestRoomUserCount', { count: remaining });
+    } else {
+      console.log(`Room ${roomName} is empty. Cleaning up.`);
+      interestHistory.clear(roomName);
+    }
+  };
+
+  socket.on('joinInterestRoom', async (data) => {
+    const username = getUsername(socket);
+    let { interests } = data || {};
+    // No interests sent: use the ones saved on the profile
+    if (interests === undefined) {
+      try {
+        interests = await savedInterests(username);
+      } catch (error) {
+        console.error(`Error loading saved interests for ${username}:`, error);
+        return;
+      }
+    }
+    if (!Array.isArray(interests) || interests.length === 0) {
+      console.error(`Invalid interests for user ${username}:`, interests);
+      return;
+    }
+
+    const wanted = normalizeInterests(interests);
+    if (wanted.length === 0) {
+      console.error(`Invalid interests for user ${username}:`, interests);
+      return;
+    }
+
+    // Never put people who blocked each other in the same room
+    let avoid;
+    try {
+      avoid = await blockedRelations(username);
+    } catch (error) {
+      console.error(`Error loading block list for ${username}:`, error);
+      return;
+    }
+
+    // Score open rooms by overlap; full rooms get a sibling room for the same topic
+    const match = interestMatcher.match(wanted, { username, avoid });
+    const roomToJoin = match.roomName;
+    interestMatcher.join(roomToJoin, socket.id, wanted, username);
+    socket.join(roomToJoin);
+    if (match.created) {
+      const sibling = match.siblingOf ? ` (sibling of ${match.siblingOf})` : '';
+      console.log(`Creating new room ${roomToJoin}${sibling} for user ${username} with interests: ${wanted}`);
+    } else {
+      console.log(`User ${username} matched room ${roomToJoin} on ${match.sharedInterests} (score ${match.score.toFixed(2)})`);
+    }
+    
+    // Let the client know which room they've been assigned to, with its recent history
+    let history = [];
+    try {
+      history = (await interestHistory.recent(roomToJoin)).map(toClientInterestMessage);
+    } catch (error) {
+      console.error(`Error loading history for ${roomToJoin}:`, error);
+    }
+    socket.emit('interestRoomAssigned', {
+      roomName: roomToJoin,
+      sharedInterests: match.sharedInterests,
+      score: match.score,
+      topic: interestMatcher.topic(roomToJoin),
+      owner: interestMatcher.room(roomToJoin)?.owner,
+      contentPolicy: resolvePolicy(interestMatcher.room(roomToJoin)?.contentPolicy),
+      history
+    });
+    
+    broadcast(roomToJoin, 'interestRoomUserCount', { count: interestMatcher.size(roomToJoin) });
+  });
+
+  socket.on('leaveInterestRoom', (data) => {
+    const username = getUsername(socket);
+    const { roomName } = data || {};
+    if (!inRoom(roomName)) return;
+    
+    socket.leave(roomName);
+    console.log(`${username} left interest room: ${roomName}`);
+    leaveRoom(roomName);
+  });
+
+  // Closing the tab leaves rooms without leaveInterestRoom; update counts the same way
+  socket.on('disconnecting', () => {
+    for (const roomName of socket.rooms) {
+      if (roomName.startsWith(INTEREST_ROOM_PREFIX)) leaveRoom(roomName);
+    }
+  });
+
+  // The callback receives { success, id, clientId, timestamp } once the message is stored, or
+  // { error, ... } with the same details as the messageError event
+  socket.on('sendInterestMessage', async (data, ack) => {
+    const callback = toCallback(ack);
+    const reject = ({ message: text, ...details }) => {
+      const context = { roomName: data.roomName, clientId: data.id, ...details };
+      socket.emit('messageError', { ...context, message: text });
+      callback({ error: text, ...context });
+    };
+    if (!data || !data.roomName) return callback({ error: 'roomName is required' });
+    if (!inRoom(data.roomName)) return reject({ message: 'Join the room before sending messages' });
+    const username = getUsername(socket);
+
+    const room = interestMatcher.room(data.roomName);
+    const until = room && mutedUntil(room.mutes, username);
+    if (until) {
+      reject({ message: `You are muted until ${new Date(until).toISOString()}` });
+      return;
+    }
+
+    // Content filter: may mask the text, refuse the message or flag it for review
+    let msg;
+    let verdict;
+    try {
+      // People who blocked each other are never matched together; a block made after joining
+      // keeps them from talking to each other here too
+      if (interestMatcher.hasAnyOf(room, await blockedRelations(username))) {
+        reject({ message: 'You can\'t post in a room with someone you blocked or who blocked you' });
+        return;
+      }
+      verdict = await contentModerator.check(data.message, room && room.contentPolicy);
+      if (verdict.action === 'block') {
+        console.log(`Blocked message from ${username} in ${data.roomName} (${verdict.categories.join(', ')})`);
+        reject({ message: blockedMessageText(verdict.categories), blocked: true, categories: verdict.categories });
+        return;
+      }
+      msg = await interestHistory.add(data.roomName, username, { ...data, message: verdict.message });
+    } catch (error) {
+      console.error('Error storing interest message:', error);
+      reject({ message: 'Failed to send message' });
+      return;
+    }
+    const sent = toClientInterestMessage(msg);
+    callback({ success: true, id: sent.id, clientId: sent.clientId, timestamp: sent.timestamp });
+    broadcast(msg.roomName, 'receiveInterestMessage', sent);
+
+    if (verdict.flagged) {
+      flagMessage({
+        roomType: 'interest',
+        room: msg.roomName,
+        username,
+        messageId: msg.id,
+        message: data.message,
+        categories: verdict.categories,
+        findings: verdict.findings
+      }, state).catch(error => console.error('Error flagging message:', error));
+    }
+  });
+
+  // Owner only: { roomName, contentPolicy }; null goes back to the default policy.
+  // The callback receives { success, contentPolicy } or { error }.
+  socket.on('updateInterestRoomSettings', (data, ack) => {
+    const callback = toCallback(ack);
+    const username = getUsername(socket);
+    const { roomName, contentPolicy } = data || {};
+    const room = inRoom(roomName) ? interestMatcher.room(roomName) : null;
+    if (!room) {
+      callback({ error: 'Join the room first' });
+      return;
+    }
+    if (room.owner !== username) {
+      callback({ error: 'Only the room owner can change settings' });
+      return;
+    }
+
+    try {
+      room.contentPolicy = contentPolicy === null ? {} : { ...room.contentPolicy, ...cleanPolicy(contentPolicy) };
+    } catch (error) {
+      if (!(error instanceof ContentPolicyError)) throw error;
+      callback({ error: error.message });
+      return;
+    }
+    const settings = { roomName, contentPolicy: resolvePolicy(room.contentPolicy) };
+    broadcast(roomName, 'interestRoomSettingsUpdated', settings);
+    callback({ success: true, ...settings });
+  });
+
+  // Toggle the user's reaction on a stored message and broadcast the new totals;
+  // returns the message or null
+  const toggleInterestReaction = async (roomName, messageId, emoji, callback) => {
+    const username = getUsername(socket);
+    if (!inRoom(roomName)) {
+      callback({ error: 'Join the room first' });
+      return null;
+    }
+
+    try {
+      const msg = await interestHistory.find(roomName, messageId);
+      if (!msg) {
+        callback({ error: 'Message not found' });
+        return null;
+      }
+      toggleReaction(msg.reactions, emoji, username);
+      await interestHistory.update(msg);
+
+      const reactions = summarizeReactions(msg.reactions);
+      broadcast(roomName, 'reactionsUpdated', { roomName, messageId, reactions });
+      callback({ success: true, reactions });
+      return msg;
+    } catch (error) {
+      if (error instanceof ReactionError) {
+        callback({ error: error.message });
+        return null;
+      }
+      console.error('Error updating reactions:', error);
+      callback({ error: 'Failed to update reaction' });
+      return null;
+    }
+  };
+
+  // React to a message: { roomName, messageId, emoji }. Sending the same emoji again removes it.
+  socket.on('reactToInterestMessage', async (data, callback) => {
+    const { roomName, messageId, emoji } = data || {};
+    await toggleInterestReaction(roomName, messageId, emoji, toCallback(callback));
+  });
+
+  // Deprecated: the like button is the 👍 reaction now
+  socket.on('likeInterestMessage', async (data) => {
+    const { roomName, msgId } = data || {};
+    const msg = await toggleInterestReaction(roomName, msgId, LIKE_EMOJI, noop);
+    if (msg) {
+      broadcast(roomName, 'interestMessageLiked', { msgId, likes: likesOf(msg.reactions) });
+    }
+  });
+};
@@ -0,0 +1,242 @@
+import Room from '../models/Room.js';
+import { INTEREST_NAMESPACES, ROOM_NAMESPACES, emitToRoom, getUsername, toCallback } from './helpers.js';
+import { isRoomMember, removeLiveUser } from './privateRooms.js';
+import { isInterestMember } from './interestRooms.js';
+import {
+  ModerationError,
+  assertCanModerate,
+  assertOwner,
+  cleanReason,
+  fetchModerationLog,
+  logModeration,
+  muteUntil
+} from '../services/moderation.js';
+
+// Moderation for private rooms ({ roomCode }) and interest rooms ({ roomName }).
+// Only the room owner and moderators can use these; moderators can't act on each other.
+// Private room moderation state lives on the Room document, interest room state in the
+// interest matcher. Every action is written to the moderation log and announced to the room
+// as userModerated.
+export const registerModerationHandlers = (nsp, socket, state) => {
+  const { activeRooms, interestMatcher, interestHistory, presence } = state;
+
+  // Which room a payload is about, as long as this socket was let into it
+  const resolveRoom = (data) => {
+    const { roomCode, roomName } = data;
+    const ref = typeof roomCode === 'string' ? { roomType: 'private', room: roomCode, key: 'roomCode' }
+      : typeof roomName === 'string' ? { roomType: 'interest', room: roomName, key: 'roomName' }
+      : null;
+    const member = ref && (ref.roomType === 'private'
+      ? isRoomMember(activeRooms, ref.room, socket)
+      : isInterestMember(interestMatcher, ref.room, socket));
+    if (!member) throw new ModerationError('Join the room first');
+    return ref;
+  };
+
+  const loadPrivateRoom = async (roomCode) => {
+    const room = await Room.findOne({ code: roomCode });
+    if (!room) throw new ModerationError('Room not found');
+    return room;
+  };
+
+  const loadInterestRoom = (roomName) => {
+    const room = interestMatcher.room(roomName);
+    if (!room) throw new ModerationError('Room not found');
+    return room;
+  };
+
+  // Reach the room's members on every namespace that serves it
+  const broadcast = (roomType, room, event, payload) => emitToRoom(
+    nsp, roomType === 'private' ? ROOM_NAMESPACES : INTEREST_NAMESPACES, room, event, payload
+  );
+
+  const announce = ({ roomType, room, key }, payload) => {
+    broadcast(roomType, room, 'userModerated', { [key]: room, ...payload });
+    return logModeration({ roomType, room, ...payload, actor: payload.by });
+  };
+
+  // Take every socket of `target` out of the room and tell them why
+  const evict = ({ roomType, room, key }, target, reason, by) => {
+    const sockets = presence.socketsOf(target).filter(targetSocket => targetSocket.rooms.has(room));
+    sockets.forEach(targetSocket => {
+      targetSocket.emit('removedFromRoom', { [key]: room, reason, by });
+      targetSocket.leave(room);
+    });
+
+    if (roomType === 'private') {
+      const users = removeLiveUser(activeRooms, room, target);
+      if (users) {
+        broadcast(roomType, room, 'userLeft', { username: target, users });
+        broadcast(roomType, room, 'roomUsers', { room, users });
+      }
+    } else {
+      let remaining = interestMatcher.size(room);
+      interestMatcher.memberIdsOf(room, target).forEach(memberId => {
+        remaining = interestMatcher.leave(room, memberId);
+      });
+      if (remaining > 0) broadcast(roomType, room, 'interestRoomUserCount', { count: remaining });
+      else interestHistory.clear(room);
+    }
+  };
+
+  // Run a moderation event; ModerationErrors go back to the caller as { error }
+  const handle = (event, action) => {
+    socket.on(event, async (data, ack) => {
+      const callback = toCallback(ack);
+      const username = getUsername(socket);
+      try {
+        const ref = resolveRoom(data || {});
+        const result = await action(ref, data, username);
+        callback({ success: true, ...result });
+      } catch (error) {
+        if (error instanceof ModerationError) {
+          callback({ error: error.message });
+          return;
+        }
+        console.error(`Error handling ${event}:`, error);
+        callback({ error: 'Moderation failed' });
+      }
+    });
+  };
+
+  // { roomCode | roomName, username, reason? }: remove now; they may come back
+  handle('kickUser', async (ref, { username: target, reason }, actor) => {
+    if (ref.roomType === 'private') {
+      const room = await loadPrivateRoom(ref.room);
+      assertCanModerate(room, actor, target);
+      await Room.updateOne({ code: ref.room }, { $pull: { members: target, moderators: target, invited: target } });
+    } else {
+      const room = loadInterestRoom(ref.room);
+      assertCanModerate(room, actor, target);
+      room.moderators.delete(target);
+    }
+    evict(ref, target, 'kicked', actor);
+    await announce(ref, { action: 'kick', target, by: actor, reason: cleanReason(reason) });
+  });
+
+  // { roomCode | roomName, username, reason? }: remove and keep out until unbanned
+  handle('banUser', async (ref, { username: target, reason }, actor) => {
+    const cleaned = cleanReason(reason);
+    if (ref.roomType === 'private') {
+      const room = await loadPrivateRoom(ref.room);
+      assertCanModerate(room, actor, target);
+      if (room.isBanned(target)) throw new ModerationError('User is already banned');
+      await Room.updateOne({ code: ref.room }, {
+        $pull: { members: target, moderators: target, invited: target },
+        $push: { bans: { username: target, bannedBy: actor, reason: cleaned } }
+      });
+      const live = activeRooms.get(ref.room);
+      if (live) live.bans = new Set([...(live.bans || []), target]);
+    } else {
+      const room = loadInterestRoom(ref.room);
+      assertCanModerate(room, actor, target);
+      room.moderators.delete(target);
+      room.bans.add(target);
+    }
+    evict(ref, target, 'banned', actor);
+    await announce(ref, { action: 'ban', target, by: actor, reason: cleaned });
+  });
+
+  // { roomCode | roomName, username }
+  handle('unbanUser', async (ref, { username: target }, actor) => {
+    if (ref.roomType === 'private') {
+      const room = await loadPrivateRoom(ref.room);
+      assertCanModerate(room, actor, target);
+      if (!room.isBanned(target)) throw new ModerationError('User is not banned');
+      await Room.updateOne({ code: ref.room }, { $pull: { bans: { username: target } } });
+      const live = activeRooms.get(ref.room);
+      if (live && live.bans) live.bans.delete(target);
+    } else {
+      const room = loadInterestRoom(ref.room);
+      assertCanModerate(room, actor, target);
+      if (!room.bans.delete(target)) throw new ModerationError('User is not banned');
+    }
+    await announce(ref, { action: 'unban', target, by: actor });
+  });
+
+  // { roomCode | roomName, username, durationSeconds, reason? }; durationSeconds 0 unmutes
+  handle('muteUser', async (ref, { username: target, durationSeconds, reason }, actor) => {
+    const until = muteUntil(durationSeconds);
+    if (ref.roomType === 'private') {
+      const room = await loadPrivateRoom(ref.room);
+      assertCanModerate(room, actor, target);
+      await Room.updateOne({ code: ref.room }, { $pull: { mutes: { username: target } } });
+      if (until) {
+        await Room.updateOne({ code: ref.room }, { $push: { mutes: { username: target, mutedBy: actor, until } } });
+      }
+      const live = activeRooms.get(ref.room);
+      if (live) {
+        live.mutes = live.mutes || new Map();
+        if (until) live.mutes.set(target, until.getTime());
+        else live.mutes.delete(target);
+      }
+    } else {
+      const room = loadInterestRoom(ref.room);
+      assertCanModerate(room, actor, target);
+      if (until) room.mutes.set(target, until.getTime());
+      else room.mutes.delete(target);
+    }
+    await announce(ref, until
+      ? { action: 'mute', target, by: actor, reason: cleanReason(reason), until }
+      : { action: 'unmute', target, by: actor });
+    return { until: until ? until.toISOString() : null };
+  });
+
+  // Owner only: { roomCode | roomName, username }. The old owner stays on as a moderator.
+  handle('transferOwnership', async (ref, { username: target }, actor) => {
+    if (ref.roomType === 'private') {
+      const room = await loadPrivateRoom(ref.room);
+      assertOwner(room, actor);
+      if (target === actor || !room.isMember(target)) throw new ModerationError('The new owner must be a member of the room');
+      room.owner = target;
+      room.moderators = [...new Set([...room.moderators.filter(name => name !== target), actor])];
+      await room.save();
+      broadcast(ref.roomType, ref.room, 'roomSettingsUpdated', {
+        roomCode: room.code,
+        owner: room.owner,
+        accessMode: room.accessMode,
+        maxMembers: room.maxMembers
+      });
+    } else {
+      const room = loadInterestRoom(ref.room);
+      assertOwner(room, actor);
+      if (target === actor || !interestMatcher.usernames(ref.room).includes(target)) {
+        throw new ModerationError('The new owner must be in the room');
+      }
+      room.owner = target;
+      room.moderators.delete(target);
+      room.moderators.add(actor);
+    }
+    await announce(ref, { action: 'transferOwnership', target, by: actor });
+  });
+
+  // Owner only: { roomCode | roomName, username, moderator: boolean }
+  handle('setModerator', async (ref, { username: target, moderator }, actor) => {
+    const action = moderator ? 'addModerator' : 'removeModerator';
+    if (ref.roomType === 'private') {
+      const room = await loadPrivateRoom(ref.room);
+      assertOwner(room, actor);
+      if (target === actor || !room.isMember(target)) throw new ModerationError('Moderators must be members of the room');
+      await Room.updateOne({ code: ref.room }, moderator ? { $addToSet: { moderators: target } } : { $pull: { moderators: target } });
+    } else {
+      const room = loadInterestRoom(ref.room);
+      assertOwner(room, actor);
+      if (target === actor || !interestMatcher.usernames(ref.room).includes(target)) {
+        throw new ModerationError('Moderators must be in the room');
+      }
+      if (moderator) room.moderators.add(target);
+      else room.moderators.delete(target);
+    }
+    await announce(ref, { action, target, by: actor });
+  });
+
+  // Owner and moderators: { roomCode | roomName, limit? } -> { entries }, newest first
+  handle('getModerationLog', async (ref, { limit }, actor) => {
+    const room = ref.roomType === 'private' ? await loadPrivateRoom(ref.room) : loadInterestRoom(ref.room);
+    const moderators = room.moderators instanceof Set ? room.moderators : new Set(room.moderators);
+    if (actor !== room.owner && !moderators.has(actor)) {
+      throw new ModerationError('Only the room owner or a moderator can do that');
+    }
+    return { entries: await fetchModerationLog(ref.roomType, ref.room, { limit }) };
+  });
+};
@@ -0,0 +1,98 @@
+import User from '../models/User.js';
+import { INTEREST_NAMESPACES, ROOM_NAMESPACES, emitToRoom, toCallback } from './helpers.js';
+
+const PRESENCE_SWEEP_MS = 15 * 1000;
+const MAX_PRESENCE_LOOKUPS = 100;
+// Identity rooms (middleware/auth.js) and the socket's own room aren't chat rooms
+const isChatRoom = (socket, room) => room !== socket.id && !room.startsWith('session:') && !room.startsWith('user:');
+
+// Chat rooms are served by their feature namespace and the legacy one alike
+const CHAT_NAMESPACES = [...new Set([...ROOM_NAMESPACES, ...INTEREST_NAMESPACES])];
+
+// Tell every room the user's sockets are in about a status change, once per room
+export const broadcastPresence = ({ username, status, lastSeen, sockets }) => {
+  const payload = { username, status, lastSeen: lastSeen.toISOString() };
+  const notified = new Set();
+  sockets.forEach(socket => {
+    const shared = CHAT_NAMESPACES.includes(socket.nsp.name);
+    for (const room of socket.rooms) {
+      const key = shared ? room : `${socket.nsp.name} ${room}`;
+      if (!isChatRoom(socket, room) || notified.has(key)) continue;
+      notified.add(key);
+      if (shared) {
+        emitToRoom(socket.nsp, CHAT_NAMESPACES, room, 'presenceChanged', { ...payload, room });
+      } else {
+        socket.nsp.to(room).emit('presenceChanged', { ...payload, room });
+      }
+    }
+  });
+
+  if (status === 'offline') {
+    User.updateOne({ username }, { lastSeenAt: lastSeen }).catch(error => {
+      console.error(`Error saving last seen for ${username}:`, error);
+    });
+  }
+};
+
+// { username, status, lastSeen } for each of `usernames`: live status for connected users,
+// last-seen time from the database for everyone else. Unknown usernames are left out.
+export const lookupPresence = async (presence, usernames) => {
+  const live = usernames.map(username => presence.get(username)).filter(Boolean);
+  const offline = usernames.filter(username => !presence.get(username));
+  const users = offline.length ? await User.find({ username: { $in: offline } }, 'username lastSeenAt') : [];
+  const lastSeenByUser = new Map(users.map(user => [user.username, user.lastSeenAt]));
+  return [
+    ...live.map(entry => ({ ...entry, lastSeen: entry.lastSeen.toISOString() })),
+    ...offline.filter(username => lastSeenByUser.has(username)).map(username => ({
+      username,
+      status: 'offline',
+      lastSeen: lastSeenByUser.get(username) ? lastSeenByUser.get(username).toISOString() : null
+    }))
+  ];
+};
+
+// Sockets that stop sending heartbeats (sleeping laptop, dropped network) drift to away
+export const startPresenceSweep = ({ presence }) => {
+  const timer = setInterval(() => presence.sweep().forEach(broadcastPresence), PRESENCE_SWEEP_MS);
+  timer.unref();
+  return timer;
+};
+
+// Heartbeats and presence lookups; every namespace gets these
+export const registerPresenceHandlers = (nsp, socket, state) => {
+  const { presence } = state;
+  const publish = (change) => {
+    if (change) broadcastPresence(change);
+  };
+
+  publish(presence.connect(socket));
+
+  // Clients send this every ~30s and whenever the state changes: { state: 'active' | 'idle' | 'hidden' }
+  socket.on('heartbeat', (data) => {
+    publish(presence.heartbeat(socket, data && data.state));
+  });
+
+  // Older clients only ever send register; treat it as activity
+  socket.on('register', () => {
+    publish(presence.heartbeat(socket, 'active'));
+  });
+
+  // { usernames: [...] }, callback receives { presence: [{ username, status, lastSeen }] }
+  socket.on('getPresence', async (data, ack) => {
+    const callback = toCallback(ack);
+    const usernames = [...new Set((data && Array.isArray(data.usernames) ? data.usernames : [])
+      .filter(name => typeof name === 'string'))].slice(0, MAX_PRESENCE_LOOKUPS);
+
+    try {
+      callback({ presence: await lookupPresence(presence, usernames) });
+    } catch (error) {
+      console.error('Error loading presence:', error);
+      callback({ error: 'Failed to load presence' });
+    }
+  });
+
+  // Still in its rooms here, so they can be told if this was the user's last socket
+  socket.on('disconnecting', () => {
+    publish(presence.disconnect(socket));
+  });
+};
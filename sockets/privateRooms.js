@@ -0,0 +1,811 @@
+import config from '../config/index.js';
+import Room from '../models/Room.js';
+import Message, { DELETE_UNDO_WINDOW_MS } from '../models/Message.js';
+import { ROOM_NAMESPACES, emitToRoom, emitToUser, getUsername, toCallback } from './helpers.js';
+import { mutedUntil } from '../services/moderation.js';
+import { ContentPolicyError, blockedMessageText, cleanPolicy, resolvePolicy } from '../services/contentModeration.js';
+import { flagMessage } from '../services/reports.js';
+import { FriendError, assertFriends } from '../services/friends.js';
+import { ReceiptError, recordRoomReceipts } from '../services/receipts.js';
+import { LIKE_EMOJI, ReactionError, likesOf, summarizeReactions, toggleReaction } from '../services/reactions.js';
+import {
+  admitMember,
+  createRoom,
+  deleteRoom,
+  findExpiredRooms,
+  markRoomEmpty,
+  nextMessageSeq,
+  removeMember,
+  touchRoom
+} from '../services/roomLifecycle.js';
+
+// Base64 attachments are sent inline over the socket; cap them like multipart uploads
+const MAX_BASE64_LENGTH = Math.ceil(config.uploads.maxFileSizeBytes * 4 / 3);
+const BASE64_FIELDS = ['audioBase64', 'attachmentBase64'];
+
+const noop = () => {};
+
+const MAX_ROOM_PASSWORD_LENGTH = 128;
+const MAX_ROOM_INVITES = 20;
+const ROOM_SWEEP_MS = 60 * 1000;
+
+// Public view of a room's access settings
+const roomSettings = (room) => ({
+  roomCode: room.code,
+  owner: room.owner,
+  accessMode: room.accessMode,
+  maxMembers: room.maxMembers,
+  contentPolicy: resolvePolicy(room.contentPolicy)
+});
+
+// Track which sockets each user has in a room, so a user is only removed from
+// room.users once their last tab leaves
+const addConnection = (room, username, socketId) => {
+  room.connections = room.connections || new Map();
+  if (!room.connections.has(username)) room.connections.set(username, new Set());
+  room.connections.get(username).add(socketId);
+};
+
+// Returns true if this was the user's last socket in the room
+const removeConnection = (room, username, socketId) => {
+  const sockets = room.connections && room.connections.get(username);
+  if (!sockets) return false;
+  sockets.delete(socketId);
+  if (sockets.size > 0) return false;
+  room.connections.delete(username);
+  return true;
+};
+
+// Drop every connection of `username` from a room's live users (kicks and bans).
+// Returns the remaining users, or null if the room isn't live.
+export const removeLiveUser = (activeRooms, roomCode, username) => {
+  const room = activeRooms.get(roomCode);
+  if (!room || !room.users) return null;
+  if (room.connections) room.connections.delete(username);
+  room.users = room.users.filter(u => u !== username);
+  return room.users;
+};
+
+// Whether `socket` was let into the private room by createRoom or joinRoom and hasn't left or
+// been removed since. Socket.IO channel membership proves nothing: any handler can join a
+// socket to a channel, so access is always decided from the room's own connections. The
+// room's ban list is checked as well, so a ban applies even to a connection it missed.
+export const isRoomMember = (activeRooms, roomCode, socket) => {
+  const room = typeof roomCode === 'string' ? activeRooms.get(roomCode) : null;
+  const username = getUsername(socket);
+  if (!room || (room.bans && room.bans.has(username))) return false;
+  const sockets = room.connections && room.connections.get(username);
+  return Boolean(sockets && sockets.has(socket.id));
+};
+
+// Private rooms joined by code: creation, membership, messages and history.
+// Event payloads are documented in docs/socket-events.md.
+export const registerPrivateRoomHandlers = (nsp, socket, state) => {
+  const { activeRooms, contentModerator, presence } = state;
+
+  // Room broadcasts also reach members connected to the other namespace serving private rooms
+  const broadcast = (roomCode, event, payload) => emitToRoom(nsp, ROOM_NAMESPACES, roomCode, event, payload);
+  const broadcastToOthers = (roomCode, event, payload) => emitToRoom(nsp, ROOM_NAMESPACES, roomCode, event, payload, socket);
+  const inRoom = (roomCode) => isRoomMember(activeRooms, roomCode, socket);
+
+  // Push the room's idle expiry back (throttled per room)
+  const recordActivity = async (roomCode, force = false) => {
+    const room = activeRooms.get(roomCode);
+    try {
+      const touched = await touchRoom(roomCode, force || !room ? 0 : room.touchedAt);
+      if (touched && room) room.touchedAt = Date.now();
+    } catch (error) {
+      console.error(`Error recording activity in room ${roomCode}:`, error);
+    }
+  };
+
+  // Drop this socket from a room's live users. When it was the user's last connection the
+  // others are told, and an empty room starts its grace period before deletion.
+  const departRoom = (roomCode) => {
+    const username = getUsername(socket);
+    const room = activeRooms.get(roomCode);
+    if (!room || !room.users || !removeConnection(room, username, socket.id)) return;
+    
+    room.users = room.users.filter(u => u !== username);
+    broadcastToOthers(roomCode, 'userLeft', { username, users: room.users });
+    broadcastToOthers(roomCode, 'roomUsers', { room: roomCode, users: room.users });
+    
+    if (room.users.length === 0) {
+      markRoomEmpty(roomCode).catch(error => console.error(`Error scheduling expiry of room ${roomCode}:`, error));
+    }
+  };
+
+  // Queue a message the content filter flagged for admin review, without holding up chat
+  const flagForReview = (roomCode, username, messageId, text, verdict) => {
+    flagMessage({
+      roomType: 'private',
+      room: roomCode,
+      username,
+      messageId,
+      message: text,
+      categories: verdict.categories,
+      findings: verdict.findings
+    }, state).catch(error => console.error('Error flagging message:', error));
+  };
+
+  // Persist a message and broadcast it to the room as receiveMessage. `callback` is the
+  // sender's acknowledgement: { success, id, clientId, seq, timestamp } or { error, ... } with
+  // the same details as the messageError event. A resend of a stored message (same `id`) is
+  // acknowledged again with `duplicate: true` and not broadcast.
+  const sendRoomMessage = async (message, callback = noop) => {
+    message.username = getUsername(socket);
+    console.log(`Message received from ${message.username} in room ${message.roomCode}`);
+    
+    const reject = ({ message: text, ...details }) => {
+      const context = { roomCode: message.roomCode, clientId: message.id, ...details };
+      socket.emit('messageError', { ...context, message: text });
+      callback({ error: text, ...context });
+    };
+    
+    if (!inRoom(message.roomCode)) {
+      reject({ message: 'Join the room before sending messages' });
+      return;
+    }
+    
+    const acknowledge = (stored, duplicate = false) => callback({
+      success: true,
+      id: stored._id.toString(),
+      clientId: stored.clientId,
+      seq: stored.seq,
+      timestamp: stored.createdAt.toISOString(),
+      ...(duplicate ? { duplicate } : {})
+    });
+    const acknowledgeResend = async () => {
+      const stored = await Message.findResend(message.roomCode, message.username, message.id);
+      if (!stored) return false;
+      console.log(`Dropped resend of message ${message.id} from ${message.username} in room ${message.roomCode}`);
+      acknowledge(stored, true);
+      return true;
+    };
+    
+    try {
+      if (await acknowledgeResend()) return;
+    } catch (error) {
+      console.error('Error checking for a resent message:', error);
+      reject({ message: 'Failed to send message' });
+      return;
+    }
+    
+    const until = mutedUntil(activeRooms.get(message.roomCode)?.mutes, message.username);
+    if (until) {
+      reject({ message: `You are muted until ${new Date(until).toISOString()}` });
+      return;
+    }
+    
+    // Content filter: may mask the text, refuse the message or flag it for review
+    let verdict;
+    try {
+      verdict = await contentModerator.check(message.message, activeRooms.get(message.roomCode)?.contentPolicy);
+    } catch (error) {
+      console.error('Error moderating message:', error);
+      reject({ message: 'Failed to send message' });
+      return;
+    }
+    if (verdict.action === 'block') {
+      console.log(`Blocked message from ${message.username} in room ${message.roomCode} (${verdict.categories.join(', ')})`);
+      reject({ message: blockedMessageText(verdict.categories), blocked: true, categories: verdict.categories });
+      return;
+    }
+    const original = message.message;
+    message.message = verdict.message;
+    
+    // Store message in room history
+    let saved;
+    try {
+      const seq = await nextMessageSeq(message.roomCode);
+      if (seq === null) {
+        reject({ message: 'Room not found' });
+        return;
+      }
+      const doc = Message.fromClient(message.username, message);
+      doc.seq = seq;
+      saved = await doc.save();
+    } catch (error) {
+      // The same message arrived twice at once and the other copy was stored first
+      if (error.code === 11000 && await acknowledgeResend().catch(() => false)) return;
+      console.error('Error saving message:', error);
+      reject({ message: 'Failed to send message' });
+      return;
+    }
+    
+    // Broadcast to everyone in the room including sender
+    broadcast(message.roomCode, 'receiveMessage', saved.toClient());
+    acknowledge(saved);
+    recordActivity(message.roomCode);
+    
+    if (verdict.flagged) flagForReview(message.roomCode, message.username, saved._id.toString(), original, verdict);
+  };
+
+  // Create room: { password?, inviteOnly?, maxMembers?, invite? }; callback receives the room
+  // code or { error }. `invite` lists friends to invite; each gets a roomInvite. Older clients
+  // pass their username as the first argument, which is ignored.
+  socket.on('createRoom', async (options, ack) => {
+    const callback = toCallback(ack);
+    const username = getUsername(socket);
+    const { password, inviteOnly, maxMembers, invite = [] } = options && typeof options === 'object' ? options : {};
+    if (password !== undefined && password !== null && (typeof password !== 'string' || password.length > MAX_ROOM_PASSWORD_LENGTH)) {
+      callback({ error: 'Invalid password' });
+      return;
+    }
+    if (!Array.isArray(invite) || invite.length > MAX_ROOM_INVITES || invite.some(name => typeof name !== 'string')) {
+      callback({ error: `invite must be a list of at most ${MAX_ROOM_INVITES} usernames` });
+      return;
+    }
+    const invited = [...new Set(invite)].filter(name => name !== username);
+    
+    let storedRoom;
+    try {
+      if (invited.length) await assertFriends(username, invited);
+      storedRoom = await createRoom(username, { password, inviteOnly: Boolean(inviteOnly), maxMembers, invited });
+    } catch (error) {
+      if (error instanceof FriendError) {
+        callback({ error: error.message });
+        return;
+      }
+      console.error('Error creating room:', error);
+      callback({ error: 'Failed to create room' });
+      return;
+    }
+    const roomCode = storedRoom.code;
+    
+    // Create room if doesn't exist
+    const room = {
+      name: roomCode,
+      users: [username],
+      bans: new Set(),
+      contentPolicy: storedRoom.contentPolicy,
+      touchedAt: Date.now()
+    };
+    addConnection(room, username, socket.id);
+    activeRooms.set(roomCode, room);
+    
+    // Join socket to room
+    socket.join(roomCode);
+    
+    invited.forEach(friend => emitToUser(presence, friend, 'roomInvite', { roomCode, from: username }));
+    
+    console.log(`Room ${roomCode} created by ${username} (${storedRoom.accessMode})`);
+    callback(roomCode);
+  });
+  
+  // Join room request: { roomCode, password? }; the optional callback receives { success } or { error }
+  socket.on('joinRoom', async (data, ack) => {
+    const callback = toCallback(ack);
+    const username = getUsername(socket);
+    const { roomCode, password } = data || {};
+    console.log(`Join request received for room ${roomCode} from ${username}`);
+    let history;
+    let storedRoom;
+    
+    const reject = (message) => {
+      console.log(`Refused ${username} in room ${roomCode}: ${message}`);
+      socket.emit('joinError', { message });
+      callback({ error: message });
+    };
+    
+    try {
+      storedRoom = typeof roomCode === 'string' && await Room.findOne({ code: roomCode }).select('+passwordHash');
+      if (!storedRoom) {
+        reject('Room not found');
+        return;
+      }
+      
+      const error = await storedRoom.joinError(username, password);
+      if (error) {
+        reject(error);
+        return;
+      }
+      
+      // Membership is re-checked atomically so two joins can't both take the last place
+      storedRoom = await admitMember(roomCode, username);
+      if (!storedRoom) {
+        reject('Room is full');
+        return;
+      }
+      
+      history = await Message.fetchPage(roomCode);
+    } catch (error) {
+      console.error('Error joining room:', error);
+      reject('Failed to join room');
+      return;
+    }
+    
+    // Rooms survive restarts in MongoDB; rebuild the in-memory entry on first join
+    let room = activeRooms.get(roomCode);
+    if (!room) {
+      room = { name: roomCode, users: [] };
+      activeRooms.set(roomCode, room);
+    }
+    room.name = roomCode;
+    room.users = room.users || [];
+    room.backgroundImage = storedRoom.backgroundImage;
+    room.mutes = storedRoom.activeMutes();
+    room.bans = new Set(storedRoom.bans.map(ban => ban.username));
+    room.contentPolicy = storedRoom.contentPolicy;
+    
+    // Allow direct room access
+    console.log(`Allowing ${username} to join room ${roomCode}`);
+    socket.join(roomCode);
+    
+    // Add user to room if not already present
+    const wasEmpty = room.users.length === 0;
+    if (!room.users.includes(username)) {
+      room.users.push(username);
+    }
+    addConnection(room, username, socket.id);
+    // Someone came back: cancel the empty-room grace period
+    recordActivity(roomCode, wasEmpty);
+    
+    // Send current room background to the joining user
+    if (room.backgroundImage) {
+      socket.emit('roomBackground', { backgroundImage: room.backgroundImage });
+    }
+    
+    // Send the latest page of history; older pages come from loadMessages
+    socket.emit("roomHistory", history);
+    
+    // Notify room of new user
+    broadcast(roomCode, "userJoined", { 
+      username,
+      users: room.users
+    });
+    
+    // Send room users to everyone
+    broadcast(roomCode, "roomUsers", {
+      room: roomCode,
+      users: room.users
+    });
+    
+    callback({ success: true, owner: storedRoom.owner, accessMode: storedRoom.accessMode, maxMembers: storedRoom.maxMembers });
+  });
+  
+  // Leave a room for good: { roomCode }. Rejoining later goes through the access checks again.
+  socket.on('leaveRoom', async (data, ack) => {
+    const callback = toCallback(ack);
+    const { roomCode } = data || {};
+    const username = getUsername(socket);
+    if (!inRoom(roomCode)) {
+      callback({ error: 'You are not in this room' });
+      return;
+    }
+    
+    departRoom(roomCode);
+    socket.leave(roomCode);
+    try {
+      // The owner may have changed
+      const storedRoom = await removeMember(roomCode, username);
+      if (storedRoom) broadcast(roomCode, 'roomSettingsUpdated', roomSettings(storedRoom));
+      callback({ success: true });
+    } catch (error) {
+      console.error('Error leaving room:', error);
+      callback({ error: 'Failed to leave room' });
+    }
+  });
+  
+  // Owner only: { roomCode, password?, inviteOnly?, maxMembers?, contentPolicy? }. An empty
+  // password turns the password off; contentPolicy: null goes back to the default policy.
+  socket.on('updateRoomSettings', async (data, ack) => {
+    const callback = toCallback(ack);
+    const { roomCode, password, inviteOnly, maxMembers, contentPolicy } = data || {};
+    const username = getUsername(socket);
+    if (!inRoom(roomCode)) {
+      callback({ error: 'Join the room first' });
+      return;
+    }
+    
+    try {
+      const storedRoom = await Room.findOne({ code: roomCode }).select('+passwordHash');
+      if (!storedRoom || storedRoom.owner !== username) {
+        callback({ error: 'Only the room owner can change settings' });
+        return;
+      }
+      
+      if (password !== undefined) {
+        if (password !== null && (typeof password !== 'string' || password.length > MAX_ROOM_PASSWORD_LENGTH)) {
+          callback({ error: 'Invalid password' });
+          return;
+        }
+        await storedRoom.setPassword(password);
+        if (storedRoom.accessMode !== 'invite') storedRoom.accessMode = password ? 'password' : 'open';
+      }
+      if (inviteOnly !== undefined) {
+        storedRoom.accessMode = inviteOnly ? 'invite' : storedRoom.passwordHash ? 'password' : 'open';
+      }
+      if (maxMembers !== undefined) {
+        const limit = parseInt(maxMembers, 10);
+        if (!Number.isInteger(limit) || limit < Math.max(2, storedRoom.members.length) || limit > config.rooms.maxMembers) {
+          callback({ error: `maxMembers must be between ${Math.max(2, storedRoom.members.length)} and ${config.rooms.maxMembers}` });
+          return;
+        }
+        storedRoom.maxMembers = limit;
+      }
+      if (contentPolicy !== undefined) {
+        storedRoom.contentPolicy = contentPolicy === null
+          ? {}
+          : { ...storedRoom.contentPolicy?.toObject(), ...cleanPolicy(contentPolicy) };
+      }
+      
+      await storedRoom.save();
+      const room = activeRooms.get(roomCode);
+      if (room) room.contentPolicy = storedRoom.contentPolicy;
+      broadcast(roomCode, 'roomSettingsUpdated', roomSettings(storedRoom));
+      callback({ success: true, ...roomSettings(storedRoom) });
+    } catch (error) {
+      if (error instanceof ContentPolicyError) {
+        callback({ error: error.message });
+        return;
+      }
+      console.error('Error updating room settings:', error);
+      callback({ error: 'Failed to update room settings' });
+    }
+  });
+  
+  // Owner or moderators: { roomCode, username } lets that user into an invite-only room
+  socket.on('inviteToRoom', async (data, ack) => {
+    const callback = toCallback(ack);
+    const { roomCode, username: invitee } = data || {};
+    const username = getUsername(socket);
+    if (!inRoom(roomCode) || typeof invitee !== 'string' || !invitee) {
+      callback({ error: 'Invalid invite' });
+      return;
+    }
+    
+    try {
+      const storedRoom = await Room.findOne({ code: roomCode });
+      if (!storedRoom || !storedRoom.isModerator(username)) {
+        callback({ error: 'Only the room owner or a moderator can invite' });
+        return;
+      }
+      if (!storedRoom.isMember(invitee)) {
+        await Room.updateOne({ code: roomCode }, { $addToSet: { invited: invitee } });
+      }
+      console.log(`${username} invited ${invitee} to room ${roomCode}`);
+      callback({ success: true });
+    } catch (error) {
+      console.error('Error inviting to room:', error);
+      callback({ error: 'Failed to invite' });
+    }
+  });
+  
+  // Handle messages including attachments
+  socket.on('sendMessage', async (message, ack) => {
+    const callback = toCallback(ack);
+    if (!message || !message.roomCode) return callback({ error: 'roomCode is required' });
+    await sendRoomMessage(message, callback);
+  });
+  
+  // Deprecated alias from the old socket.js server: { roomCode, message } where `message`
+  // may carry audioBase64 / attachmentBase64. Goes through the same pipeline as sendMessage.
+  socket.on('chatMessage', async (data, ack) => {
+    const callback = toCallback(ack);
+    const { roomCode, message } = data || {};
+    if (!roomCode || !message || typeof message !== 'object') return;
+    
+    const oversized = BASE64_FIELDS.find(field => typeof message[field] === 'string' && message[field].length > MAX_BASE64_LENGTH);
+    if (oversized) {
+      console.warn(`Rejected ${oversized} over ${config.uploads.maxFileSizeBytes} bytes in room ${roomCode}`);
+      socket.emit('messageError', { roomCode, clientId: message.id, message: 'Attachment is too large' });
+      callback({ error: 'Attachment is too large', roomCode, clientId: message.id });
+      return;
+    }
+    
+    await sendRoomMessage({ ...message, roomCode }, callback);
+  });
+  
+  // Authors manage their own messages; the room owner and moderators manage everyone's
+  const canManage = async (roomCode, message, username) => {
+    if (message.username === username) return true;
+    const room = await Room.findOne({ code: roomCode }, 'owner moderators');
+    return Boolean(room && room.isModerator(username));
+  };
+  
+  // Edit a message: { roomCode, messageId, newContent }. The previous text goes to editHistory.
+  socket.on('editMessage', async (data) => {
+    const { roomCode, messageId, newContent } = data || {};
+    const username = getUsername(socket);
+    if (!inRoom(roomCode) || typeof newContent !== 'string') return;
+    console.log(`Edit request received for message ${messageId} in room ${roomCode}`);
+    
+    try {
+      const message = await Message.findInRoom(roomCode, messageId, { username });
+      if (!message) {
+        socket.emit('messageError', { roomCode, messageId, message: 'Message not found' });
+        return;
+      }
+      if (!await canManage(roomCode, message, username)) {
+        socket.emit('messageError', { roomCode, messageId, message: 'You can only edit your own messages' });
+        return;
+      }
+      if (newContent === message.message) return;
+      
+      // Edits go through the same content filter as new messages
+      const verdict = await contentModerator.check(newContent, activeRooms.get(roomCode)?.contentPolicy);
+      if (verdict.action === 'block') {
+        socket.emit('messageError', {
+          roomCode,
+          messageId,
+          message: blockedMessageText(verdict.categories),
+          blocked: true,
+          categories: verdict.categories
+        });
+        return;
+      }
+      
+      message.applyEdit(verdict.message, username);
+      await message.save();
+      
+      // Broadcast the edited message to all users in the room
+      broadcast(roomCode, 'messageEdited', { ...message.toClient(), editedBy: username });
+      
+      if (verdict.flagged) flagForReview(roomCode, username, message._id.toString(), newContent, verdict);
+    } catch (error) {
+      console.error('Error editing message:', error);
+    }
+  });
+  
+  // Previous versions of a message: callback receives { history } or { error }
+  socket.on('getMessageHistory', async (data, callback) => {
+    if (typeof callback !== 'function') return;
+    const { roomCode, messageId } = data || {};
+    if (!inRoom(roomCode)) {
+      callback({ error: 'Join the room first' });
+      return;
+    }
+    
+    try {
+      const message = await Message.findInRoom(roomCode, messageId, { username: getUsername(socket) });
+      if (!message) {
+        callback({ error: 'Message not found' });
+        return;
+      }
+      callback({
+        messageId: message._id.toString(),
+        history: message.editHistory.map(edit => ({
+          message: edit.message,
+          editedBy: edit.editedBy,
+          editedAt: edit.editedAt.toISOString()
+        }))
+      });
+    } catch (error) {
+      console.error('Error loading message history:', error);
+      callback({ error: 'Failed to load message history' });
+    }
+  });
+  
+  // Delete a message: { roomCode, messageId }. Soft delete, restorable with undoDeleteMessage
+  // until `undoUntil`.
+  socket.on('deleteMessage', async (data) => {
+    const { roomCode, messageId } = data || {};
+    const username = getUsername(socket);
+    if (!inRoom(roomCode)) return;
+    console.log(`Delete request received for message ${messageId} in room ${roomCode}`);
+    
+    try {
+      const message = await Message.findInRoom(roomCode, messageId, { username });
+      if (!message) {
+        socket.emit('messageError', { roomCode, messageId, message: 'Message not found' });
+        return;
+      }
+      if (!await canManage(roomCode, message, username)) {
+        socket.emit('messageError', { roomCode, messageId, message: 'You can only delete your own messages' });
+        return;
+      }
+      
+      message.softDelete(username);
+      await message.save();
+      broadcast(roomCode, 'messageDeleted', { 
+        messageId: message._id.toString(), 
+        roomCode,
+        username: message.username,
+        deletedBy: username,
+        undoUntil: new Date(message.deletedAt.getTime() + DELETE_UNDO_WINDOW_MS).toISOString()
+      });
+    } catch (error) {
+      console.error('Error deleting message:', error);
+    }
+  });
+  
+  // Undo a delete within the undo window: { roomCode, messageId }. Only whoever deleted it.
+  socket.on('undoDeleteMessage', async (data) => {
+    const { roomCode, messageId } = data || {};
+    const username = getUsername(socket);
+    if (!inRoom(roomCode)) return;
+    
+    try {
+      const message = await Message.findInRoom(roomCode, messageId, { username, includeDeleted: true });
+      if (!message || !message.deletedAt) return;
+      if (message.deletedBy !== username) {
+        socket.emit('messageError', { roomCode, messageId, message: 'You can only undo your own deletes' });
+        return;
+      }
+      if (!message.canUndoDelete()) {
+        socket.emit('messageError', { roomCode, messageId, message: 'Undo window has expired' });
+        return;
+      }
+      
+      message.restore();
+      await message.save();
+      broadcast(roomCode, 'messageRestored', message.toClient());
+    } catch (error) {
+      console.error('Error restoring message:', error);
+    }
+  });
+  
+  // Toggle the user's reaction and broadcast the new totals; returns the summary or null
+  const toggleMessageReaction = async (roomCode, messageId, emoji, callback) => {
+    const username = getUsername(socket);
+    if (!inRoom(roomCode)) {
+      callback({ error: 'Join the room first' });
+      return null;
+    }
+    
+    try {
+      const message = await Message.findInRoom(roomCode, messageId, { username });
+      if (!message) {
+        callback({ error: 'Message not found' });
+        return null;
+      }
+      toggleReaction(message.reactions, emoji, username);
+      await message.save();
+      
+      const reactions = summarizeReactions(message.reactions);
+      broadcast(roomCode, 'reactionsUpdated', { roomCode, messageId: message._id.toString(), reactions });
+      callback({ success: true, reactions });
+      return message;
+    } catch (error) {
+      if (error instanceof ReactionError) {
+        callback({ error: error.message });
+        return null;
+      }
+      console.error('Error updating reactions:', error);
+      callback({ error: 'Failed to update reaction' });
+      return null;
+    }
+  };
+  
+  // React to a message: { roomCode, messageId, emoji }. Sending the same emoji again removes it.
+  socket.on('reactToMessage', async (data, callback) => {
+    const { roomCode, messageId, emoji } = data || {};
+    await toggleMessageReaction(roomCode, messageId, emoji, toCallback(callback));
+  });
+  
+  // Deprecated: the like button is the 👍 reaction now
+  socket.on('likeMessage', async (data) => {
+    const { roomCode, messageId } = data || {};
+    const message = await toggleMessageReaction(roomCode, messageId, LIKE_EMOJI, noop);
+    if (message) {
+      broadcast(roomCode, 'messageLiked', { messageId: message._id.toString(), likes: likesOf(message.reactions) });
+    }
+  });
+  
+  // Handle background changes: { roomCode, backgroundImage } (URL or data URL, null to clear)
+  socket.on('changeBackground', async (data) => {
+    const { roomCode, backgroundImage } = data || {};
+    const room = activeRooms.get(roomCode);
+    if (!room || !inRoom(roomCode)) return;
+    if (backgroundImage != null && (typeof backgroundImage !== 'string' || backgroundImage.length > MAX_BASE64_LENGTH)) {
+      socket.emit('messageError', { roomCode, message: 'Invalid background image' });
+      return;
+    }
+    
+    try {
+      await Room.updateOne({ code: roomCode }, { backgroundImage: backgroundImage || null });
+      room.backgroundImage = backgroundImage || null;
+      // Broadcast to ALL users in the room including sender
+      broadcast(roomCode, 'backgroundChanged', { backgroundImage: room.backgroundImage });
+      console.log(`Background changed in room ${roomCode}`);
+    } catch (error) {
+      console.error('Error handling background change:', error);
+    }
+  });
+  
+  // Catch up after a reconnect: { roomCode, lastSeq, limit? } with the highest seq the client
+  // has. Rejoin with joinRoom first. callback({ success, messages, lastSeq, hasMore }); while
+  // hasMore is set, call again with the returned lastSeq.
+  socket.on('resume', async (data, ack) => {
+    const callback = toCallback(ack);
+    const { roomCode, lastSeq, limit } = data || {};
+    if (!inRoom(roomCode)) return callback({ error: 'Join the room before resuming' });
+    const afterSeq = Number(lastSeq);
+    if (!Number.isInteger(afterSeq) || afterSeq < 0) return callback({ error: 'lastSeq must be a non-negative integer' });
+    
+    try {
+      const page = await Message.fetchSince(roomCode, afterSeq, { limit });
+      console.log(`Replaying ${page.messages.length} messages after seq ${afterSeq} in room ${roomCode} to ${getUsername(socket)}`);
+      callback({ success: true, ...page });
+    } catch (error) {
+      console.error('Error resuming room:', error);
+      callback({ error: 'Failed to load missed messages' });
+    }
+  });
+  
+  // Load older history on scroll: callback receives { messages, nextCursor, hasMore }
+  socket.on('loadMessages', async (data, callback) => {
+    if (typeof callback !== 'function') return;
+    const { roomCode, before, limit } = data || {};
+    if (!inRoom(roomCode)) {
+      callback({ error: 'Join the room before loading messages' });
+      return;
+    }
+    
+    try {
+      callback(await Message.fetchPage(roomCode, { before, limit }));
+    } catch (error) {
+      console.error('Error loading messages:', error);
+      callback({ error: error.message === 'Invalid cursor' ? 'Invalid cursor' : 'Failed to load messages' });
+    }
+  });
+  
+  // Receipts: { roomCode, messageIds }. The room learns who got or read which messages, so
+  // clients can show "seen by"; ids that were already marked are left out.
+  const handleReceipt = (event, kind, notifyEvent) => {
+    socket.on(event, async (data, ack) => {
+      const callback = toCallback(ack);
+      const { roomCode, messageIds } = data || {};
+      if (!inRoom(roomCode)) return callback({ error: 'Join the room first' });
+      const username = getUsername(socket);
+      try {
+        const result = await recordRoomReceipts(roomCode, username, messageIds, kind);
+        if (result.messageIds.length) {
+          const at = kind === 'read' ? 'readAt' : 'deliveredAt';
+          broadcast(roomCode, notifyEvent, { roomCode, username, messageIds: result.messageIds, [at]: result.at.toISOString() });
+        }
+        callback({ success: true, messageIds: result.messageIds });
+      } catch (error) {
+        if (error instanceof ReceiptError) return callback({ error: error.message });
+        console.error(`Error recording ${kind} receipts in room ${roomCode}:`, error);
+        callback({ error: 'Failed to record receipts' });
+      }
+    });
+  };
+  handleReceipt('markDelivered', 'delivered', 'messageDelivered');
+  handleReceipt('markRead', 'read', 'messageRead');
+  
+  // Typing indicator
+  socket.on('typing', (data) => {
+    const username = getUsername(socket);
+    // `room` is the original field name; `roomCode` matches every other event
+    const { roomCode = data && data.room, isTyping } = data || {};
+    if (!roomCode || !inRoom(roomCode)) return;
+    broadcastToOthers(roomCode, 'userTyping', { username, isTyping });
+  });
+  
+  // Remember this socket's private rooms before Socket.IO clears them
+  socket.on('disconnecting', () => {
+    for (const roomCode of socket.rooms) {
+      departRoom(roomCode);
+    }
+  });
+};
+
+// Delete rooms whose expiry passed: idle ones and ones that stayed empty past the grace
+// period. `namespaces` are the ones serving private rooms, so their sockets can be told.
+export const startRoomExpirySweep = (namespaces, { activeRooms }) => {
+  const sweep = async () => {
+    try {
+      const expired = await findExpiredRooms();
+      for (const { code } of expired) {
+        const room = activeRooms.get(code);
+        const reason = room && room.users && room.users.length ? 'idle' : 'empty';
+        await deleteRoom(code);
+        activeRooms.delete(code);
+        namespaces.forEach(nsp => {
+          nsp.in(code).emit('roomExpired', { roomCode: code, reason });
+          nsp.in(code).socketsLeave(code);
+        });
+        console.log(`Room ${code} expired (${reason})`);
+      }
+    } catch (error) {
+      console.error('Error sweeping expired rooms:', error);
+    }
+  };
+  
+  const timer = setInterval(sweep, ROOM_SWEEP_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,20 @@
+import { getUsername, toCallback } from './helpers.js';
+import { findProfileUser, toPublicProfile } from '../services/profiles.js';
+
+// Profile lookups for people met in rooms, trimmed by their privacy settings
+export const registerProfileHandlers = (nsp, socket) => {
+  // { username } -> { success, profile }
+  socket.on('getProfile', async (data, ack) => {
+    const callback = toCallback(ack);
+    const username = data && typeof data.username === 'string' ? data.username.trim() : '';
+    if (!username) return callback({ error: 'Username is required' });
+    try {
+      const user = await findProfileUser(username);
+      if (!user) return callback({ error: 'User not found' });
+      callback({ success: true, profile: toPublicProfile(user, getUsername(socket)) });
+    } catch (error) {
+      console.error('Error loading profile:', error);
+      callback({ error: 'Failed to load profile' });
+    }
+  });
+};
@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import { createRoom } from '../services/roomLifecycle.js';
+import { getUsername, toCallback } from './helpers.js';
+import { normalizeInterests } from '../services/interestCatalog.js';
+import { blockedRelations } from '../services/blocks.js';
+import { savedInterests } from '../services/profiles.js';
+
+// Roulette rooms get longer codes than hand-shared private rooms; nobody types them in
+const createRouletteRoomCode = () => `rl-${crypto.randomBytes(8).toString('hex')}`;
+
+// Give a matched pair their own private room and introduce them. The room is a normal
+// private room (kind 'roulette'), so clients chat in it through joinRoom on /rooms.
+const startPair = async (queue, { a, b, sharedInterests, random }) => {
+  const roomCode = createRouletteRoomCode();
+  queue.pair(a, b, roomCode);
+
+  try {
+    await createRoom(a.username, { code: roomCode, members: [b.username], maxMembers: 2, kind: 'roulette' });
+  } catch (error) {
+    console.error('Error creating roulette room:', error);
+    queue.unpair(a.id);
+    [a, b].forEach(entry => entry.socket.emit('matchError', { message: 'Failed to start chat, please try again' }));
+    return;
+  }
+
+  // One of them may have left while the room was being created
+  const pair = queue.pairOf(a.id);
+  if (!pair || pair.roomCode !== roomCode) return;
+
+  console.log(`Roulette match ${a.username} <-> ${b.username} in ${roomCode}${random ? ' (random)' : ''}`);
+  a.socket.emit('matchFound', { roomCode, partner: b.username, sharedInterests, random });
+  b.socket.emit('matchFound', { roomCode, partner: a.username, sharedInterests, random });
+};
+
+// Roulette mode: one-to-one random chats
+export const registerRouletteHandlers = (nsp, socket, state) => {
+  const { rouletteQueue } = state;
+  let interests = [];
+  let fallbackTimer = null;
+
+  const clearFallback = () => {
+    clearTimeout(fallbackTimer);
+    fallbackTimer = null;
+  };
+
+  // Leave the current partner, telling them why
+  const endPair = (reason) => {
+    const pair = rouletteQueue.unpair(socket.id);
+    if (!pair) return;
+    console.log(`Roulette pair in ${pair.roomCode} ended (${reason})`);
+    pair.partner.socket.emit('partnerLeft', { roomCode: pair.roomCode, reason });
+  };
+
+  const queueUp = async (callback) => {
+    clearFallback();
+    const username = getUsername(socket);
+    let blocked;
+    try {
+      blocked = await blockedRelations(username);
+    } catch (error) {
+      console.error(`Error loading block list for ${username}:`, error);
+      callback({ error: 'Failed to join the queue, please try again' });
+      return;
+    }
+    if (socket.disconnected) return;
+
+    const entry = { id: socket.id, username, interests, blocked, socket };
+    const match = rouletteQueue.enqueue(entry);
+    if (match) {
+      callback({ success: true, queued: false });
+      startPair(rouletteQueue, match);
+      return;
+    }
+
+    callback({ success: true, queued: true });
+    socket.emit('matchQueued', { interests });
+    // Nobody with shared interests turned up in time: take anyone
+    fallbackTimer = setTimeout(() => {
+      fallbackTimer = null;
+      const randomMatch = rouletteQueue.matchRandom(socket.id);
+      if (randomMatch) startPair(rouletteQueue, randomMatch);
+    }, rouletteQueue.randomAfterMs);
+  };
+
+  // Join the queue: { interests }, or the profile's saved interests if none are sent.
+  // Ends any current pairing first.
+  socket.on('findMatch', async (data, ack) => {
+    const callback = toCallback(ack);
+    endPair('left');
+    if (data && data.interests !== undefined) {
+      interests = normalizeInterests(data.interests);
+    } else {
+      try {
+        interests = await savedInterests(getUsername(socket));
+      } catch (error) {
+        console.error('Error loading saved interests:', error);
+        interests = [];
+      }
+    }
+    queueUp(callback);
+  });
+
+  // Leave the current partner and queue again, optionally with new interests: { interests? }
+  const next = (data, ack) => {
+    const callback = toCallback(ack);
+    if (data && Array.isArray(data.interests)) {
+      interests = normalizeInterests(data.interests);
+    }
+    endPair('skipped');
+    queueUp(callback);
+  };
+  socket.on('next', next);
+  socket.on('skip', next);
+
+  socket.on('cancelMatch', (_data, ack) => {
+    const callback = toCallback(ack);
+    clearFallback();
+    const wasQueued = rouletteQueue.cancel(socket.id);
+    endPair('left');
+    if (wasQueued) socket.emit('matchCancelled');
+    callback({ success: true });
+  });
+
+  socket.on('disconnect', () => {
+    clearFallback();
+    rouletteQueue.cancel(socket.id);
+    endPair('disconnected');
+  });
+};
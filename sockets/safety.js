@@ -0,0 +1,64 @@
+import { getUsername, toCallback } from './helpers.js';
+import { BlockError, blockUser, unblockUser } from '../services/blocks.js';
+import { ReportError, createReport, reportLocation } from '../services/reports.js';
+
+// Reporting and blocking, available in every chat namespace. Same rules as POST /reports
+// and POST /blocks.
+export const registerSafetyHandlers = (nsp, socket, state) => {
+  const { interestMatcher, interestHistory, rouletteQueue } = state;
+
+  // Report a user: { reported, roomCode | roomName | threadId, reason, details }
+  socket.on('reportUser', async (data, ack) => {
+    const callback = toCallback(ack);
+    const username = getUsername(socket);
+    const { reported, reason, details } = data || {};
+    try {
+      const report = await createReport({
+        reporter: username,
+        reported,
+        ...reportLocation(data || {}),
+        reason,
+        details
+      }, { interestMatcher, interestHistory });
+      callback({ success: true, id: report._id.toString() });
+    } catch (error) {
+      if (error instanceof ReportError) return callback({ error: error.message });
+      console.error('Error creating report:', error);
+      callback({ error: 'Failed to submit report' });
+    }
+  });
+
+  // Block a user: { username }. Ends a roulette chat with them straight away.
+  socket.on('blockUser', async (data, ack) => {
+    const callback = toCallback(ack);
+    const username = getUsername(socket);
+    const target = data && data.username;
+    try {
+      await blockUser(username, target);
+    } catch (error) {
+      if (error instanceof BlockError) return callback({ error: error.message });
+      console.error('Error blocking user:', error);
+      return callback({ error: 'Failed to block user' });
+    }
+
+    rouletteQueue.block(username, target.trim()).forEach(({ roomCode, a, b }) => {
+      console.log(`Roulette pair in ${roomCode} ended (blocked)`);
+      a.socket.emit('partnerLeft', { roomCode, reason: 'blocked' });
+      b.socket.emit('partnerLeft', { roomCode, reason: 'left' });
+    });
+    console.log(`User ${username} blocked ${target.trim()}`);
+    callback({ success: true });
+  });
+
+  socket.on('unblockUser', async (data, ack) => {
+    const callback = toCallback(ack);
+    const username = getUsername(socket);
+    try {
+      await unblockUser(username, data && data.username);
+      callback({ success: true });
+    } catch (error) {
+      console.error('Error unblocking user:', error);
+      callback({ error: 'Failed to unblock user' });
+    }
+  });
+};
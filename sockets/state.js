@@ -0,0 +1,23 @@
+import { InterestHistory } from '../services/interestHistory.js';
+import { InterestMatcher } from '../services/interestMatcher.js';
+import { RouletteQueue } from '../services/roulette.js';
+import { PresenceTracker } from '../services/presence.js';
+import { ContentModerator } from '../services/contentModeration.js';
+
+// In-memory socket state shared by every namespace of one app instance.
+// createApp() makes a fresh copy so tests don't leak state into each other.
+export const createSocketState = () => ({
+  // Who is online, with which sockets
+  presence: new PresenceTracker(),
+  activeRooms: new Map(),
+  // Open interest rooms and who is in them, for matching
+  interestMatcher: new InterestMatcher(),
+  // Recent messages of each interest room
+  interestHistory: new InterestHistory(),
+  // Roulette mode: who is waiting for a partner and who is paired with whom
+  rouletteQueue: new RouletteQueue(),
+  // Filters chat text before it is stored or broadcast
+  contentModerator: new ContentModerator(),
+  // Mesh WebRTC signaling: mesh channel (sockets/calls.js) -> socket ids
+  meshRooms: {}
+});
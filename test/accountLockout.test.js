@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import config from '../config/index.js';
+import { clearFailedAttempts, isLocked, recordFailedAttempt, sendLocked } from '../services/accountLockout.js';
+
+const { maxAttempts, baseLockMs } = config.lockout;
+
+// Just the fields the lockout service touches; save() counts writes
+const fakeUser = () => ({
+  email: 'alice@example.com',
+  saves: 0,
+  async save() { this.saves += 1; }
+});
+
+const fail = async (user, times) => {
+  let locked = false;
+  for (let i = 0; i < times; i += 1) locked = await recordFailedAttempt(user);
+  return locked;
+};
+
+test('an account locks after too many failures and unlocks after the cooldown', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  t.mock.method(console, 'log', () => {});
+  const user = fakeUser();
+
+  assert.equal(await fail(user, maxAttempts - 1), false);
+  assert.equal(isLocked(user), false);
+  assert.equal(await recordFailedAttempt(user), true);
+  assert.equal(isLocked(user), true);
+  assert.equal(user.failedAuthAttempts, 0);
+  assert.equal(user.saves, maxAttempts);
+
+  t.mock.timers.tick(baseLockMs - 1);
+  assert.equal(isLocked(user), true);
+  t.mock.timers.tick(1);
+  assert.equal(isLocked(user), false);
+});
+
+test('each lock doubles until a successful sign-in', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  t.mock.method(console, 'log', () => {});
+  const user = fakeUser();
+
+  await fail(user, maxAttempts);
+  t.mock.timers.tick(baseLockMs);
+  await fail(user, maxAttempts);
+  assert.equal(user.lockUntil.getTime() - Date.now(), baseLockMs * 2);
+
+  await clearFailedAttempts(user);
+  assert.equal(isLocked(user), false);
+  await fail(user, maxAttempts);
+  assert.equal(user.lockUntil.getTime() - Date.now(), baseLockMs);
+});
+
+test('clearing an account with nothing to clear does not write', async () => {
+  const user = fakeUser();
+  await clearFailedAttempts(user);
+  assert.equal(user.saves, 0);
+});
+
+test('locked responses are 429s that say when to retry', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const headers = {};
+  const res = {
+    set: (name, value) => { headers[name] = value; },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  sendLocked(res, { lockUntil: new Date(90 * 1000) });
+  assert.equal(res.statusCode, 429);
+  assert.equal(headers['Retry-After'], '90');
+  assert.equal(res.body.retryAfter, 90);
+});
@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { io as connect } from 'socket.io-client';
+import './helpers/env.js';
+import { createApp } from '../app.js';
+import { signToken } from '../middleware/auth.js';
+import User from '../models/User.js';
+
+// Boot the whole app on an ephemeral port without MongoDB
+const startApp = async () => {
+  const { server, io, state } = createApp();
+  await new Promise(resolve => server.listen(0, resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const close = () => new Promise(resolve => io.close(() => resolve()));
+  return { baseUrl, io, state, close };
+};
+
+const connectSocket = (url, options) => new Promise((resolve, reject) => {
+  const socket = connect(url, { transports: ['websocket'], reconnection: false, ...options });
+  socket.on('connect', () => resolve(socket));
+  socket.on('connect_error', (error) => {
+    socket.close();
+    reject(error);
+  });
+});
+
+test('the app answers HTTP requests', async () => {
+  const { baseUrl, close } = await startApp();
+  try {
+    const res = await fetch(`${baseUrl}/test`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { message: 'Backend is alive' });
+  } finally {
+    await close();
+  }
+});
+
+test('only allowed origins get CORS access to the API and sockets', async () => {
+  const { baseUrl, close } = await startApp();
+  const corsOrigin = async (path, origin) => {
+    const res = await fetch(`${baseUrl}${path}`, { headers: { Origin: origin } });
+    await res.arrayBuffer();
+    return res.headers.get('access-control-allow-origin');
+  };
+  try {
+    // ALLOWED_ORIGINS is unset in tests, so the localhost defaults apply
+    assert.equal(await corsOrigin('/test', 'http://localhost:3000'), 'http://localhost:3000');
+    assert.equal(await corsOrigin('/test', 'https://evil.example'), null);
+    assert.equal(await corsOrigin('/socket.io/?EIO=4&transport=polling', 'https://evil.example'), null);
+  } finally {
+    await close();
+  }
+});
+
+test('AI routes reject chat history that is not a list', async () => {
+  const { baseUrl, close } = await startApp();
+  const token = signToken({ _id: '64b000000000000000000001', username: 'alice' }, 'session-1');
+  const post = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  try {
+    const suggest = await post('/api/ai-suggest-reply', { selected_message: 'hi', chat_history: 'hi' });
+    assert.equal(suggest.status, 400);
+    assert.equal((await post('/api/ai-suggest-reply', { participants: { a: 1 } })).status, 400);
+    assert.equal((await post('/api/compatibility-meter', { chat_history: 42 })).status, 400);
+  } finally {
+    await close();
+  }
+});
+
+test('sockets must authenticate', async () => {
+  const { baseUrl, close } = await startApp();
+  try {
+    await assert.rejects(connectSocket(`${baseUrl}/rooms`), { message: 'Authentication required' });
+  } finally {
+    await close();
+  }
+});
+
+test('an authenticated socket connects and shows up as online', async (t) => {
+  // socketAuth checks the session still exists and disconnecting saves the last-seen time;
+  // stand in for the database
+  t.mock.method(User, 'findOne', async () => ({ suspension: undefined }));
+  t.mock.method(User, 'updateOne', async () => ({}));
+  const { baseUrl, close } = await startApp();
+  const token = signToken({ _id: '64b000000000000000000001', username: 'alice' }, 'session-1');
+  try {
+    const socket = await connectSocket(`${baseUrl}/rooms`, { auth: { token } });
+    const reply = await socket.timeout(2000).emitWithAck('getPresence', { usernames: ['alice'] });
+    socket.close();
+    assert.equal(reply.presence.length, 1);
+    assert.equal(reply.presence[0].username, 'alice');
+    assert.equal(reply.presence[0].status, 'online');
+  } finally {
+    await close();
+  }
+});
+
+test('a mesh join never enters a private room\'s channel', async (t) => {
+  t.mock.method(User, 'findOne', async () => ({ suspension: undefined }));
+  t.mock.method(User, 'updateOne', async () => ({}));
+  const { baseUrl, io, close } = await startApp();
+  const token = signToken({ _id: '64b000000000000000000002', username: 'mallory' }, 'session-2');
+  try {
+    const socket = await connectSocket(baseUrl, { auth: { token } });
+    const peers = new Promise(resolve => socket.once('peers', resolve));
+    socket.emit('join', 'abc12345');
+    assert.deepEqual(await peers, { peers: [] });
+    const channels = io.of('/').adapter.rooms;
+    assert.equal(channels.has('abc12345'), false);
+    assert.equal(channels.has('mesh:abc12345'), true);
+    socket.close();
+  } finally {
+    await close();
+  }
+});
+
+test('being in a private room\'s channel does not grant access to it', async (t) => {
+  t.mock.method(User, 'findOne', async () => ({ suspension: undefined }));
+  t.mock.method(User, 'updateOne', async () => ({}));
+  const { baseUrl, io, state, close } = await startApp();
+  state.activeRooms.set('abc12345', { name: 'abc12345', users: ['alice'], connections: new Map([['alice', new Set(['other-socket'])]]) });
+  const token = signToken({ _id: '64b000000000000000000002', username: 'mallory' }, 'session-2');
+  try {
+    const socket = await connectSocket(`${baseUrl}/rooms`, { auth: { token } });
+    // However the socket got into the channel, only joinRoom or createRoom admit it
+    io.of('/rooms').sockets.get(socket.id).join('abc12345');
+    const history = await socket.timeout(2000).emitWithAck('loadMessages', { roomCode: 'abc12345' });
+    const sent = await socket.timeout(2000).emitWithAck('sendMessage', { roomCode: 'abc12345', message: 'hi' });
+    socket.close();
+    assert.deepEqual(history, { error: 'Join the room before loading messages' });
+    assert.equal(sent.error, 'Join the room before sending messages');
+  } finally {
+    await close();
+  }
+});
+
+test('banned users can neither read nor post, whatever connection they kept', async (t) => {
+  t.mock.method(User, 'findOne', async () => ({ suspension: undefined }));
+  t.mock.method(User, 'updateOne', async () => ({}));
+  const { baseUrl, state, close } = await startApp();
+  const token = signToken({ _id: '64b000000000000000000002', username: 'mallory' }, 'session-2');
+  try {
+    const socket = await connectSocket(baseUrl, { auth: { token } });
+    state.activeRooms.set('abc12345', {
+      name: 'abc12345',
+      users: ['mallory'],
+      connections: new Map([['mallory', new Set([socket.id])]]),
+      bans: new Set(['mallory'])
+    });
+    const roomName = state.interestMatcher.createRoom(['chess']);
+    state.interestMatcher.join(roomName, socket.id, ['chess'], 'mallory');
+    state.interestMatcher.room(roomName).bans.add('mallory');
+
+    const history = await socket.timeout(2000).emitWithAck('loadMessages', { roomCode: 'abc12345' });
+    const sent = await socket.timeout(2000).emitWithAck('sendInterestMessage', { roomName, message: 'hi' });
+    socket.close();
+    assert.deepEqual(history, { error: 'Join the room before loading messages' });
+    assert.equal(sent.error, 'Join the room before sending messages');
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { ConfigError, loadConfig } from '../config/index.js';
+
+const validEnv = {
+  NODE_ENV: 'test',
+  JWT_SECRET: 'test-secret-that-is-at-least-32-characters',
+  MONGODB_URI: 'mongodb://127.0.0.1:27017/chat-test'
+};
+
+// The list of problems loadConfig reports for `env`
+const errorsFor = (env) => {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.errors;
+  }
+  assert.fail('expected a ConfigError');
+};
+
+test('missing secrets are all reported at once', () => {
+  assert.deepEqual(errorsFor({ NODE_ENV: 'test' }), ['JWT_SECRET is required', 'MONGODB_URI is required']);
+  assert.deepEqual(errorsFor({ ...validEnv, JWT_SECRET: '   ' }), ['JWT_SECRET is required']);
+});
+
+test('weak or malformed values are rejected', () => {
+  assert.deepEqual(errorsFor({ ...validEnv, JWT_SECRET: 'short' }), ['JWT_SECRET must be at least 32 characters long']);
+  assert.deepEqual(errorsFor({ ...validEnv, MONGODB_URI: 'http://db' }), ['MONGODB_URI must start with mongodb:// or mongodb+srv://']);
+  assert.deepEqual(errorsFor({ ...validEnv, PORT: 'abc' }), ['PORT must be an integer >= 1 (got "abc")']);
+  assert.deepEqual(errorsFor({ ...validEnv, PERSIST_INTEREST_MESSAGES: 'yes' }), ['PERSIST_INTEREST_MESSAGES must be true or false (got "yes")']);
+});
+
+test('production refuses development-only settings', () => {
+  const production = { ...validEnv, NODE_ENV: 'production', EMAIL_USER: 'app@example.com', EMAIL_PASS: 'password' };
+  assert.equal(loadConfig(production).env, 'production');
+  assert.deepEqual(errorsFor({ ...production, RESET_USERS_ON_BOOT: 'true' }), ['RESET_USERS_ON_BOOT cannot be enabled in production']);
+  assert.deepEqual(errorsFor({ ...production, MAIL_TRANSPORT: 'outbox' }), ['MAIL_TRANSPORT=outbox cannot be used in production']);
+  assert.deepEqual(errorsFor({ ...validEnv, NODE_ENV: 'production' }), ['EMAIL_USER and EMAIL_PASS are required when MAIL_TRANSPORT is smtp']);
+});
+
+test('ALLOWED_ORIGINS is a comma-separated list', () => {
+  const { cors } = loadConfig({ ...validEnv, ALLOWED_ORIGINS: ' https://a.example , https://b.example,, ' });
+  assert.deepEqual(cors.allowedOrigins, ['https://a.example', 'https://b.example']);
+  assert.deepEqual(loadConfig({ ...validEnv, ALLOWED_ORIGINS: '' }).cors.allowedOrigins, ['http://localhost:3000', 'http://localhost:5173']);
+});
+
+test('unset options fall back to their defaults', () => {
+  const config = loadConfig({ JWT_SECRET: validEnv.JWT_SECRET, MONGODB_URI: validEnv.MONGODB_URI, MAIL_TRANSPORT: 'console' });
+  assert.equal(config.env, 'development');
+  assert.equal(config.port, 5000);
+  assert.equal(config.clientUrl, 'http://localhost:3000');
+  assert.equal(config.auth.accessTokenTtlSeconds, 15 * 60);
+  assert.equal(config.auth.refreshTokenTtlDays, 30);
+  assert.equal(config.db.resetUsersOnBoot, false);
+  assert.equal(config.debug.enabled, false);
+  assert.equal(config.uploads.maxFileSizeBytes, 10 * 1024 * 1024);
+  assert.deepEqual(config.moderation.defaultPolicy, { profanity: 'mask', link: 'allow', phone: 'allow', email: 'allow', abuse: 'flag' });
+  // Tests default to the outbox so nothing is ever sent
+  assert.equal(loadConfig(validEnv).mail.transport, 'outbox');
+});
+
+test('the loaded config is frozen all the way down', () => {
+  const config = loadConfig(validEnv);
+  assert.ok(Object.isFrozen(config));
+  assert.ok(Object.isFrozen(config.cors.allowedOrigins));
+  assert.throws(() => { config.auth.jwtSecret = 'changed'; }, TypeError);
+});
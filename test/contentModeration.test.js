@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import {
+  ContentModerator, DEFAULT_PROFANITY, contactInfoFilter, createWordListFilter
+} from '../services/contentModeration.js';
+
+const profanity = createWordListFilter(DEFAULT_PROFANITY);
+const matches = (text, findings) => findings.map(({ start, end }) => text.slice(start, end));
+
+test('profanity followed by punctuation is still a whole word', async () => {
+  for (const [text, word] of [['what the fuck!', 'fuck'], ['shit!!', 'shit'], ['you bitch!', 'bitch'], ['!shit', 'shit']]) {
+    assert.deepEqual(matches(text, await profanity(text)), [word], text);
+  }
+});
+
+test('leetspeak and suffixes are caught inside words', async () => {
+  for (const [text, word] of [['sh1t', 'sh1t'], ['b!tch', 'b!tch'], ['$hit', '$hit'], ['FUCKING hell', 'FUCKING'], ['dickhead', 'dickhead']]) {
+    assert.deepEqual(matches(text, await profanity(text)), [word], text);
+  }
+});
+
+test('profanity inside other words is left alone', async () => {
+  for (const text of ['Scunthorpe', 'cocktail', 'shitake1', 'classic']) {
+    assert.deepEqual(await profanity(text), [], text);
+  }
+});
+
+test('phone numbers are found in common formats', async () => {
+  for (const number of ['+1 (555) 123-4567', '555-123-4567', '555.123.4567', '+44 7700 900123', '5551234567']) {
+    const text = `call me on ${number} tonight`;
+    const findings = await contactInfoFilter(text);
+    assert.deepEqual(findings.map(finding => finding.category), ['phone'], text);
+    assert.deepEqual(matches(text, findings), [number], text);
+  }
+});
+
+test('scores, versions and dates are not phone numbers', async () => {
+  for (const text of ['I scored 1000000 points', 'version 1.2.3.4567890', 'released 2024-01-15', 'it costs 1,000,000']) {
+    assert.deepEqual(await contactInfoFilter(text), [], text);
+  }
+});
+
+test('emails and links are reported once', async () => {
+  const text = 'mail bob@example.com or see https://example.com/page.';
+  const findings = await contactInfoFilter(text);
+  assert.deepEqual(findings.map(finding => finding.category), ['email', 'link']);
+  assert.deepEqual(matches(text, findings), ['bob@example.com', 'https://example.com/page']);
+});
+
+test('the moderator masks or blocks according to the policy', async () => {
+  const moderator = new ContentModerator({ classifier: null });
+
+  const masked = await moderator.check('what the fuck!', {});
+  assert.equal(masked.action, 'allow');
+  assert.equal(masked.message, 'what the ****!');
+  assert.deepEqual(masked.categories, ['profanity']);
+
+  const blocked = await moderator.check('call 555-123-4567', { phone: 'block' });
+  assert.equal(blocked.action, 'block');
+  assert.equal(blocked.message, null);
+  assert.deepEqual(blocked.categories, ['phone']);
+
+  const clean = await moderator.check('I scored 1000000 points', { phone: 'block' });
+  assert.equal(clean.action, 'allow');
+  assert.equal(clean.message, 'I scored 1000000 points');
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { createApp } from '../app.js';
+import { ConfigError, loadConfig } from '../config/index.js';
+
+const baseEnv = {
+  JWT_SECRET: 'test-secret-that-is-at-least-32-characters',
+  MONGODB_URI: 'mongodb://127.0.0.1:27017/chat-test'
+};
+const productionEnv = { ...baseEnv, NODE_ENV: 'production', EMAIL_USER: 'app@example.com', EMAIL_PASS: 'password' };
+const developmentEnv = { ...baseEnv, NODE_ENV: 'development', MAIL_TRANSPORT: 'console' };
+
+// Boot the whole app with the given config on an ephemeral port
+const startApp = async (config) => {
+  const { server, io } = createApp({ config });
+  await new Promise(resolve => server.listen(0, resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const close = () => new Promise(resolve => io.close(() => resolve()));
+  return { baseUrl, close };
+};
+
+const request = (baseUrl, method, path, headers = {}) => fetch(baseUrl + path, {
+  method,
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: method === 'POST' ? JSON.stringify({ email: 'someone@example.com' }) : undefined
+});
+
+const debugRoutes = [
+  ['GET', '/debug/routes'],
+  ['POST', '/debug/generate-test-otp'],
+  ['POST', '/debug/verify'],
+  // Legacy paths that used to live at the root
+  ['POST', '/generate-test-otp'],
+  ['POST', '/debug-verify'],
+  ['POST', '/simple-verify']
+];
+
+test('the debug flag is refused in production', () => {
+  assert.throws(
+    () => loadConfig({ ...productionEnv, ENABLE_DEBUG_ROUTES: 'true', DEBUG_ADMIN_TOKEN: 'secret' }),
+    (error) => error instanceof ConfigError && error.errors.includes('ENABLE_DEBUG_ROUTES must not be set in production')
+  );
+});
+
+test('debug routes return 404 in production, even if the flag slipped through', async () => {
+  const production = loadConfig(productionEnv);
+  for (const config of [production, { ...production, debug: { enabled: true, adminToken: 'secret' } }]) {
+    const { baseUrl, close } = await startApp(config);
+    try {
+      for (const [method, path] of debugRoutes) {
+        const res = await request(baseUrl, method, path, { 'X-Admin-Token': 'secret' });
+        assert.equal(res.status, 404, `${method} ${path}`);
+      }
+    } finally {
+      await close();
+    }
+  }
+});
+
+test('debug routes return 404 in development unless the flag is set', async () => {
+  const { baseUrl, close } = await startApp(loadConfig({ ...developmentEnv, DEBUG_ADMIN_TOKEN: 'secret' }));
+  try {
+    const res = await request(baseUrl, 'GET', '/debug/routes', { 'X-Admin-Token': 'secret' });
+    assert.equal(res.status, 404);
+  } finally {
+    await close();
+  }
+});
+
+test('enabled debug routes require the admin token', async () => {
+  const { baseUrl, close } = await startApp(loadConfig({
+    ...developmentEnv, ENABLE_DEBUG_ROUTES: 'true', DEBUG_ADMIN_TOKEN: 'secret'
+  }));
+  try {
+    assert.equal((await request(baseUrl, 'GET', '/debug/routes')).status, 401);
+    assert.equal((await request(baseUrl, 'GET', '/debug/routes', { 'X-Admin-Token': 'wrong!' })).status, 401);
+
+    const res = await request(baseUrl, 'GET', '/debug/routes', { 'X-Admin-Token': 'secret' });
+    assert.equal(res.status, 200);
+    assert.ok((await res.json()).some(route => route.path === '/debug/routes'));
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,5 @@
+// The config module validates the environment on import, so test files import this first
+// to provide a minimal one
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-that-is-at-least-32-characters';
+process.env.MONGODB_URI = 'mongodb://127.0.0.1:27017/chat-test';
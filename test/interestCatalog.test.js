@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_INTERESTS, canonicalInterest, describeInterest, normalizeInterests, searchInterests
+} from '../services/interestCatalog.js';
+
+test('canonicalInterest maps case, spacing, hashtags and synonyms to one tag', () => {
+  for (const value of ['Music', ' music ', '#music', 'Songs', 'SONG']) {
+    assert.equal(canonicalInterest(value), 'music', value);
+  }
+  assert.equal(canonicalInterest('Video   Games'), 'gaming');
+  assert.equal(canonicalInterest('Knitting'), 'knitting');
+});
+
+test('canonicalInterest rejects unusable values', () => {
+  for (const value of ['', '   ', '#', 'x'.repeat(51), 42, null]) {
+    assert.equal(canonicalInterest(value), null, String(value));
+  }
+});
+
+test('normalizeInterests de-duplicates and caps the list', () => {
+  assert.deepEqual(normalizeInterests(['Music', 'songs', 'Soccer', '', null, 'football']), ['music', 'football']);
+  assert.deepEqual(normalizeInterests('music'), []);
+  const many = Array.from({ length: MAX_INTERESTS + 5 }, (_, i) => `topic ${i}`);
+  assert.equal(normalizeInterests(many).length, MAX_INTERESTS);
+});
+
+test('searchInterests lists prefix matches before substring matches', () => {
+  const tags = searchInterests('cod').map(interest => interest.tag);
+  assert.deepEqual(tags, ['programming']);
+
+  const results = searchInterests('ga', { limit: 50 }).map(interest => interest.tag);
+  assert.ok(results.indexOf('gaming') < results.indexOf('esports'));
+  assert.equal(searchInterests('ga', { limit: 1 }).length, 1);
+  assert.deepEqual(searchInterests(''), []);
+});
+
+test('describeInterest labels catalog and free-form tags', () => {
+  assert.deepEqual(describeInterest('music'), { tag: 'music', label: 'Music', category: 'arts' });
+  assert.deepEqual(describeInterest('knitting'), { tag: 'knitting', label: 'knitting', category: null });
+});
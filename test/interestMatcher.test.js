@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { INTEREST_ROOM_PREFIX, InterestMatcher, jaccard } from '../services/interestMatcher.js';
+
+// Match and join in one go, the way joinInterestRoom does
+const place = (matcher, memberId, username, interests) => {
+  const match = matcher.match(interests, { username });
+  assert.equal(matcher.join(match.roomName, memberId, interests, username), true);
+  return match;
+};
+
+test('jaccard scores shared over combined items', () => {
+  assert.equal(jaccard(new Set(['a', 'b']), new Set(['b', 'c'])), 1 / 3);
+  assert.equal(jaccard(new Set(['a']), new Set(['a'])), 1);
+  assert.equal(jaccard(new Set(), new Set()), 0);
+});
+
+test('users with overlapping interests share a room', () => {
+  const matcher = new InterestMatcher({ maxRoomSize: 5 });
+  const first = place(matcher, 's1', 'alice', ['Music', 'Chess']);
+  assert.equal(first.created, true);
+  assert.equal(first.score, 0);
+  assert.ok(first.roomName.startsWith(INTEREST_ROOM_PREFIX));
+
+  const second = place(matcher, 's2', 'bob', ['songs', 'running']);
+  assert.equal(second.roomName, first.roomName);
+  assert.equal(second.created, false);
+  assert.deepEqual(second.sharedInterests, ['music']);
+  // Scored against the room's topic and alice's interests: one shared out of music, chess, running
+  assert.equal(second.score, 1 / 3);
+
+  const third = place(matcher, 's3', 'carol', ['cooking']);
+  assert.notEqual(third.roomName, first.roomName);
+  assert.equal(matcher.room(first.roomName).owner, 'alice');
+});
+
+test('a full room spills into a sibling room with the shared topic', () => {
+  const matcher = new InterestMatcher({ maxRoomSize: 2 });
+  const { roomName } = place(matcher, 's1', 'alice', ['chess']);
+  place(matcher, 's2', 'bob', ['chess']);
+
+  const sibling = place(matcher, 's3', 'carol', ['chess', 'anime']);
+  assert.notEqual(sibling.roomName, roomName);
+  assert.equal(sibling.created, true);
+  assert.equal(sibling.siblingOf, roomName);
+  assert.deepEqual(matcher.topic(sibling.roomName), ['chess']);
+  assert.equal(matcher.join(roomName, 's4', ['chess'], 'dave'), false);
+});
+
+test('bans and avoided users keep people apart', () => {
+  const matcher = new InterestMatcher({ maxRoomSize: 5 });
+  const { roomName } = place(matcher, 's1', 'alice', ['chess']);
+
+  matcher.room(roomName).bans.add('bob');
+  assert.notEqual(matcher.match(['chess'], { username: 'bob' }).roomName, roomName);
+  assert.equal(matcher.join(roomName, 's2', ['chess'], 'bob'), false);
+
+  assert.notEqual(matcher.match(['chess'], { username: 'carol', avoid: new Set(['alice']) }).roomName, roomName);
+});
+
+test('leaving passes ownership on and forgets empty rooms', () => {
+  const matcher = new InterestMatcher({ maxRoomSize: 5 });
+  const { roomName } = place(matcher, 's1', 'alice', ['chess']);
+  place(matcher, 's2', 'bob', ['chess']);
+  place(matcher, 's3', 'carol', ['chess']);
+  matcher.room(roomName).moderators.add('carol');
+
+  assert.equal(matcher.leave(roomName, 's1'), 2);
+  assert.equal(matcher.room(roomName).owner, 'carol');
+  assert.deepEqual(matcher.usernames(roomName), ['bob', 'carol']);
+
+  matcher.leave(roomName, 's2');
+  assert.equal(matcher.leave(roomName, 's3'), 0);
+  assert.equal(matcher.room(roomName), null);
+});
+
+test('interestCounts counts people and rooms per interest', () => {
+  const matcher = new InterestMatcher({ maxRoomSize: 5 });
+  place(matcher, 's1', 'alice', ['chess', 'music']);
+  place(matcher, 's2', 'bob', ['chess']);
+  place(matcher, 's3', 'carol', ['cooking']);
+
+  const counts = matcher.interestCounts();
+  assert.deepEqual(counts.get('chess'), { count: 2, rooms: 1 });
+  assert.deepEqual(counts.get('music'), { count: 1, rooms: 1 });
+  assert.deepEqual(counts.get('food'), { count: 1, rooms: 1 });
+});
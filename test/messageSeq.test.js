@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import Message, { MAX_PAGE_SIZE } from '../models/Message.js';
+import Room from '../models/Room.js';
+import { nextMessageSeq } from '../services/roomLifecycle.js';
+
+// Stand-in for a stored room: find(query).sort(...).limit(n) over `docs`, honouring seq > $gt
+const mockFind = (t, docs) => t.mock.method(Message, 'find', (query) => {
+  const matching = docs.filter(doc => doc.roomCode === query.roomCode && doc.seq > query.seq.$gt);
+  return {
+    sort: () => ({ limit: async (n) => matching.slice(0, n) })
+  };
+});
+
+const storedMessages = (count, { deleted = [] } = {}) => Array.from({ length: count }, (_, i) => new Message({
+  roomCode: 'room-1',
+  username: 'alice',
+  message: `message ${i + 1}`,
+  seq: i + 1,
+  deletedAt: deleted.includes(i + 1) ? new Date() : null,
+  createdAt: new Date(Date.UTC(2026, 0, 1, 0, 0, i))
+}));
+
+test('nextMessageSeq bumps the room counter', async (t) => {
+  const update = t.mock.method(Room, 'findOneAndUpdate', async () => ({ lastSeq: 7 }));
+  assert.equal(await nextMessageSeq('room-1'), 7);
+  assert.deepEqual(update.mock.calls[0].arguments.slice(0, 2), [{ code: 'room-1' }, { $inc: { lastSeq: 1 } }]);
+
+  t.mock.method(Room, 'findOneAndUpdate', async () => null);
+  assert.equal(await nextMessageSeq('gone'), null);
+});
+
+test('fetchSince returns what came after a sequence number, oldest first', async (t) => {
+  mockFind(t, storedMessages(5, { deleted: [4] }));
+
+  const { messages, lastSeq, hasMore } = await Message.fetchSince('room-1', 2);
+  // Deleted messages are left out but still move lastSeq on
+  assert.deepEqual(messages.map(msg => msg.seq), [3, 5]);
+  assert.deepEqual(messages.map(msg => msg.message), ['message 3', 'message 5']);
+  assert.equal(lastSeq, 5);
+  assert.equal(hasMore, false);
+});
+
+test('fetchSince pages and reports where to resume', async (t) => {
+  mockFind(t, storedMessages(5));
+
+  const first = await Message.fetchSince('room-1', 0, { limit: 2 });
+  assert.deepEqual(first.messages.map(msg => msg.seq), [1, 2]);
+  assert.equal(first.hasMore, true);
+
+  const second = await Message.fetchSince('room-1', first.lastSeq, { limit: 2 });
+  assert.deepEqual(second.messages.map(msg => msg.seq), [3, 4]);
+
+  const caughtUp = await Message.fetchSince('room-1', 5);
+  assert.deepEqual(caughtUp, { messages: [], lastSeq: 5, hasMore: false });
+});
+
+test('fetchSince caps the page size', async (t) => {
+  const find = mockFind(t, storedMessages(MAX_PAGE_SIZE + 10));
+  const { messages, hasMore } = await Message.fetchSince('room-1', 0, { limit: 1000 });
+  assert.equal(messages.length, MAX_PAGE_SIZE);
+  assert.equal(hasMore, true);
+  assert.equal(find.mock.callCount(), 1);
+});
+
+test('findInRoom only matches client ids on the sender\'s own messages', async (t) => {
+  const findOne = t.mock.method(Message, 'findOne', async () => null);
+
+  await Message.findInRoom('room-1', 'client-1', { username: 'alice' });
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+    roomCode: 'room-1',
+    $or: [{ clientId: 'client-1', username: 'alice' }],
+    deletedAt: null
+  });
+
+  assert.equal(await Message.findInRoom('room-1', 'client-1'), null);
+  assert.equal(findOne.mock.callCount(), 1);
+});
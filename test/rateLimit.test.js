@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore, accountKey, ipKey, rateLimit, setRateLimitStore } from '../middleware/rateLimit.js';
+
+// Minimal Express response that records what the limiter sent
+const fakeResponse = () => ({
+  headers: {},
+  statusCode: 200,
+  body: undefined,
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run one request through the limiter; resolves to the response, or null if it was let through
+const hit = async (limiter, req) => {
+  const res = fakeResponse();
+  let passed = false;
+  await limiter(req, res, () => { passed = true; });
+  return passed ? null : res;
+};
+
+const withFreshStore = (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  t.mock.method(console, 'log', () => {});
+  setRateLimitStore(new MemoryStore());
+};
+
+test('requests over the limit get a 429 until the block runs out', async (t) => {
+  withFreshStore(t);
+  const limiter = rateLimit({ name: 'test', windowMs: 60 * 1000, max: 2 });
+  const req = { ip: '10.0.0.1' };
+
+  assert.equal(await hit(limiter, req), null);
+  assert.equal(await hit(limiter, req), null);
+  const res = await hit(limiter, req);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers['Retry-After'], '60');
+  assert.equal(res.body.retryAfter, 60);
+
+  // Another IP is unaffected
+  assert.equal(await hit(limiter, { ip: '10.0.0.2' }), null);
+
+  t.mock.timers.tick(59 * 1000);
+  assert.equal((await hit(limiter, req)).headers['Retry-After'], '1');
+  t.mock.timers.tick(1000);
+  assert.equal(await hit(limiter, req), null);
+});
+
+test('the counting window resets on its own', async (t) => {
+  withFreshStore(t);
+  const limiter = rateLimit({ name: 'test', windowMs: 1000, max: 1 });
+  const req = { ip: '10.0.0.1' };
+
+  assert.equal(await hit(limiter, req), null);
+  t.mock.timers.tick(1000);
+  assert.equal(await hit(limiter, req), null);
+});
+
+test('repeat offenders are blocked twice as long each time', async (t) => {
+  withFreshStore(t);
+  const limiter = rateLimit({ name: 'test', windowMs: 60 * 1000, max: 1 });
+  const req = { ip: '10.0.0.1' };
+
+  await hit(limiter, req);
+  assert.equal((await hit(limiter, req)).headers['Retry-After'], '60');
+
+  t.mock.timers.tick(60 * 1000);
+  assert.equal(await hit(limiter, req), null);
+  assert.equal((await hit(limiter, req)).headers['Retry-After'], '120');
+});
+
+test('an account key follows the email across IPs', async (t) => {
+  withFreshStore(t);
+  const limiter = rateLimit({ name: 'login', windowMs: 60 * 1000, max: 1, keys: [ipKey, accountKey] });
+
+  assert.equal(await hit(limiter, { ip: '10.0.0.1', body: { email: 'alice@example.com' } }), null);
+  const res = await hit(limiter, { ip: '10.0.0.2', body: { email: ' Alice@Example.com ' } });
+  assert.equal(res.statusCode, 429);
+  // Requests without an email are only limited per IP
+  assert.equal(await hit(limiter, { ip: '10.0.0.3', body: {} }), null);
+});
+
+test('a failing store lets requests through', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  setRateLimitStore({
+    get: async () => { throw new Error('store down'); }
+  });
+  const limiter = rateLimit({ name: 'test', windowMs: 1000, max: 1 });
+  assert.equal(await hit(limiter, { ip: '10.0.0.1' }), null);
+  assert.equal(await hit(limiter, { ip: '10.0.0.1' }), null);
+});
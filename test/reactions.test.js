@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import {
+  LIKE_EMOJI, ReactionError, likesOf, normalizeEmoji, summarizeReactions, toggleReaction
+} from '../services/reactions.js';
+
+test('normalizeEmoji accepts exactly one emoji', () => {
+  for (const emoji of ['👍', ' 🎉 ', '👩‍💻', '🇳🇱', '👍🏽', '1️⃣']) {
+    assert.equal(normalizeEmoji(emoji), emoji.trim(), emoji);
+  }
+  for (const value of ['', 'a', 'ok', '👍👍', '👍 hi', 42, null]) {
+    assert.equal(normalizeEmoji(value), null, String(value));
+  }
+});
+
+test('toggleReaction adds, joins and removes reactions in place', () => {
+  const reactions = [];
+  assert.equal(toggleReaction(reactions, '👍', 'alice'), true);
+  assert.equal(toggleReaction(reactions, '👍', 'bob'), true);
+  assert.equal(toggleReaction(reactions, '🎉', 'alice'), true);
+  assert.deepEqual(reactions, [{ emoji: '👍', users: ['alice', 'bob'] }, { emoji: '🎉', users: ['alice'] }]);
+
+  assert.equal(toggleReaction(reactions, '👍', 'alice'), false);
+  assert.equal(toggleReaction(reactions, '🎉', 'alice'), false);
+  // Empty reactions are dropped
+  assert.deepEqual(reactions, [{ emoji: '👍', users: ['bob'] }]);
+});
+
+test('toggleReaction rejects invalid emoji and caps distinct reactions', () => {
+  const reactions = [];
+  assert.throws(() => toggleReaction(reactions, 'lol', 'alice'), ReactionError);
+
+  toggleReaction(reactions, '👍', 'alice', { maxDistinct: 2 });
+  toggleReaction(reactions, '🎉', 'alice', { maxDistinct: 2 });
+  assert.throws(() => toggleReaction(reactions, '🔥', 'alice', { maxDistinct: 2 }), {
+    name: 'ReactionError',
+    message: 'A message can have at most 2 different reactions'
+  });
+  // Existing emoji can still be joined at the cap
+  assert.equal(toggleReaction(reactions, '🎉', 'bob', { maxDistinct: 2 }), true);
+});
+
+test('summarizeReactions and likesOf shape reactions for clients', () => {
+  const reactions = [{ emoji: LIKE_EMOJI, users: ['alice', 'bob'] }, { emoji: '🎉', users: ['carol'] }];
+  assert.deepEqual(summarizeReactions(reactions), [
+    { emoji: LIKE_EMOJI, count: 2, users: ['alice', 'bob'] },
+    { emoji: '🎉', count: 1, users: ['carol'] }
+  ]);
+  assert.deepEqual(likesOf(reactions), ['alice', 'bob']);
+  assert.deepEqual(summarizeReactions(), []);
+  assert.deepEqual(likesOf([{ emoji: '🎉', users: ['carol'] }]), []);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { MAX_RECEIPT_BATCH, ReceiptError, cleanMessageIds, recordRoomReceipts } from '../services/receipts.js';
+import Message from '../models/Message.js';
+
+const ID_A = '64b000000000000000000001';
+const ID_B = '64b000000000000000000002';
+
+test('cleanMessageIds de-duplicates valid ids', () => {
+  assert.deepEqual(cleanMessageIds([ID_A, ID_B, ID_A]), [ID_A, ID_B]);
+});
+
+test('cleanMessageIds rejects empty, oversized and invalid lists', () => {
+  assert.throws(() => cleanMessageIds([]), ReceiptError);
+  assert.throws(() => cleanMessageIds(ID_A), { message: 'messageIds must be a non-empty list' });
+  assert.throws(() => cleanMessageIds(Array(MAX_RECEIPT_BATCH + 1).fill(ID_A)), {
+    message: `At most ${MAX_RECEIPT_BATCH} messages per receipt`
+  });
+  assert.throws(() => cleanMessageIds([ID_A, 'client-1']), { message: 'Invalid message id' });
+});
+
+test('read receipts mark delivery too and skip messages already read', async (t) => {
+  const find = t.mock.method(Message, 'find', async () => [{ _id: ID_A }]);
+  const updateMany = t.mock.method(Message, 'updateMany', async () => ({}));
+
+  const { messageIds, at } = await recordRoomReceipts('room-1', 'bob', [ID_A, ID_B], 'read');
+  assert.deepEqual(messageIds, [ID_A]);
+  assert.ok(at instanceof Date);
+
+  // Only other people's messages without a read receipt from bob are candidates
+  const [query] = find.mock.calls[0].arguments;
+  assert.equal(query.roomCode, 'room-1');
+  assert.deepEqual(query.username, { $ne: 'bob' });
+  assert.deepEqual(query.receipts, { $not: { $elemMatch: { username: 'bob', readAt: { $ne: null } } } });
+
+  assert.equal(updateMany.mock.callCount(), 2);
+  const [, push] = updateMany.mock.calls[0].arguments;
+  assert.deepEqual(push.$push.receipts, { username: 'bob', deliveredAt: at, readAt: at });
+});
+
+test('nothing is written when every message was already marked', async (t) => {
+  t.mock.method(Message, 'find', async () => []);
+  const updateMany = t.mock.method(Message, 'updateMany', async () => ({}));
+
+  assert.deepEqual((await recordRoomReceipts('room-1', 'bob', [ID_A], 'delivered')).messageIds, []);
+  assert.equal(updateMany.mock.callCount(), 0);
+});
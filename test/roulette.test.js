@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { RouletteQueue } from '../services/roulette.js';
+
+const entry = (id, username, interests = [], extra = {}) => ({ id, username, interests, ...extra });
+
+test('the best interest overlap is paired first', () => {
+  const queue = new RouletteQueue({ randomAfterMs: 60000, recentPartnerLimit: 5 });
+  assert.equal(queue.enqueue(entry('s1', 'alice', ['chess'])), null);
+  assert.equal(queue.enqueue(entry('s2', 'bob', ['music', 'anime'])), null);
+
+  const match = queue.enqueue(entry('s3', 'carol', ['music', 'anime', 'chess']));
+  assert.equal(match.a.username, 'bob');
+  assert.equal(match.b.username, 'carol');
+  assert.deepEqual(match.sharedInterests, ['music', 'anime']);
+  assert.equal(match.random, false);
+  assert.equal(queue.isQueued('s2'), false);
+  assert.equal(queue.isQueued('s1'), true);
+});
+
+test('nobody without shared interests is paired until someone waited long enough', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const queue = new RouletteQueue({ randomAfterMs: 1000, recentPartnerLimit: 5 });
+  queue.enqueue(entry('s1', 'alice', ['chess']));
+  assert.equal(queue.enqueue(entry('s2', 'bob', ['music'])), null);
+
+  t.mock.timers.tick(1000);
+  const match = queue.matchRandom('s2');
+  assert.equal(match.random, true);
+  assert.deepEqual([match.a.username, match.b.username], ['bob', 'alice']);
+  assert.deepEqual(match.sharedInterests, []);
+});
+
+test('recent partners, blocked users and the same user are never paired', () => {
+  const queue = new RouletteQueue({ randomAfterMs: 0, recentPartnerLimit: 1 });
+  queue.pair(entry('s1', 'alice'), entry('s2', 'bob'), 'room-1');
+  queue.unpair('s1');
+
+  queue.enqueue(entry('s1', 'alice', ['chess']));
+  assert.equal(queue.enqueue(entry('s2', 'bob', ['chess'])), null);
+  assert.equal(queue.enqueue(entry('s3', 'alice', ['chess'])), null);
+  assert.equal(queue.enqueue(entry('s4', 'carol', ['chess'], { blocked: new Set(['alice', 'bob']) })), null);
+
+  // Once both have met someone else they drop out of each other's recent list
+  queue.remember('alice', 'dave');
+  assert.equal(queue.recentlyMet('alice', 'bob'), true);
+  queue.remember('bob', 'erin');
+  assert.equal(queue.recentlyMet('alice', 'bob'), false);
+});
+
+test('pairs are tracked for both sides and ended by a block', () => {
+  const queue = new RouletteQueue({ randomAfterMs: 0, recentPartnerLimit: 5 });
+  const alice = entry('s1', 'alice');
+  const bob = entry('s2', 'bob');
+  queue.pair(alice, bob, 'room-1');
+  assert.equal(queue.pairOf('s2').partner, alice);
+
+  assert.deepEqual(queue.block('alice', 'bob'), [{ roomCode: 'room-1', a: alice, b: bob }]);
+  assert.equal(queue.pairOf('s1'), null);
+  assert.equal(queue.pairOf('s2'), null);
+  assert.equal(queue.unpair('s1'), null);
+});
+
+test('a block also applies to queued entries', () => {
+  const queue = new RouletteQueue({ randomAfterMs: 60000, recentPartnerLimit: 5 });
+  queue.enqueue(entry('s1', 'alice', ['chess']));
+  queue.block('bob', 'alice');
+  assert.equal(queue.enqueue(entry('s2', 'bob', ['chess'])), null);
+  assert.equal(queue.cancel('s2'), true);
+  assert.equal(queue.cancel('s2'), false);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { createApp } from '../app.js';
+import config from '../config/index.js';
+import { verifyToken } from '../middleware/auth.js';
+import User from '../models/User.js';
+import { createSession } from '../services/sessions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stand in for the users collection: sessions are looked up by refresh token hash and saved in place
+const mockUsers = (t) => {
+  const user = new User({ username: 'alice', email: 'alice@example.com', password: 'hashed' });
+  t.mock.method(User.prototype, 'save', async function () { return this; });
+  t.mock.method(User, 'findOne', async (query) => (
+    user.sessions.some(session => session.tokenHash === query['sessions.tokenHash']) ? user : null
+  ));
+  return user;
+};
+
+const startApp = async () => {
+  const { server, io } = createApp();
+  await new Promise(resolve => server.listen(0, resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const close = () => new Promise(resolve => io.close(() => resolve()));
+  return { baseUrl, close };
+};
+
+const post = (baseUrl, path, body, headers = {}) => fetch(baseUrl + path, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+const signIn = (user) => createSession(user, { body: {}, headers: { 'user-agent': 'test-agent' } });
+
+test('refreshing rotates the refresh token and keeps the session', async (t) => {
+  const user = mockUsers(t);
+  const first = await signIn(user);
+  const sessionId = user.sessions[0]._id.toString();
+  const { baseUrl, close } = await startApp();
+  try {
+    const res = await post(baseUrl, '/auth/refresh', { refreshToken: first.refreshToken });
+    assert.equal(res.status, 200);
+    const next = await res.json();
+    assert.notEqual(next.refreshToken, first.refreshToken);
+    assert.equal(next.username, 'alice');
+    assert.equal(verifyToken(next.token).sid, sessionId);
+    assert.equal(user.sessions.length, 1);
+
+    // The refresh token that was exchanged cannot be used again
+    assert.equal((await post(baseUrl, '/auth/refresh', { refreshToken: first.refreshToken })).status, 401);
+    assert.equal((await post(baseUrl, '/auth/refresh', { refreshToken: next.refreshToken })).status, 200);
+  } finally {
+    await close();
+  }
+});
+
+test('a refresh token is rejected after logging out with it', async (t) => {
+  const user = mockUsers(t);
+  const { refreshToken } = await signIn(user);
+  const { baseUrl, close } = await startApp();
+  try {
+    assert.equal((await post(baseUrl, '/auth/logout', { refreshToken })).status, 200);
+    assert.equal(user.sessions.length, 0);
+    assert.equal((await post(baseUrl, '/auth/refresh', { refreshToken })).status, 401);
+  } finally {
+    await close();
+  }
+});
+
+test('logging out with only the access token revokes that session', async (t) => {
+  const user = mockUsers(t);
+  const { token } = await signIn(user);
+  const updateOne = t.mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const { baseUrl, close } = await startApp();
+  try {
+    assert.equal((await post(baseUrl, '/auth/logout', {})).status, 401);
+
+    const res = await post(baseUrl, '/auth/logout', {}, { Authorization: `Bearer ${token}` });
+    assert.equal(res.status, 200);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.equal(String(filter._id), user._id.toString());
+    assert.equal(update.$pull.sessions._id, user.sessions[0]._id.toString());
+  } finally {
+    await close();
+  }
+});
+
+test('expired refresh tokens are rejected and their session dropped', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const user = mockUsers(t);
+  const { refreshToken } = await signIn(user);
+  const { baseUrl, close } = await startApp();
+  try {
+    t.mock.timers.tick(config.auth.refreshTokenTtlDays * DAY_MS + 1000);
+    assert.equal((await post(baseUrl, '/auth/refresh', { refreshToken })).status, 401);
+    assert.equal(user.sessions.length, 0);
+  } finally {
+    await close();
+  }
+});